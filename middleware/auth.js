@@ -6,18 +6,31 @@
  * 工作原理：
  * 1. 从请求头获取 token
  * 2. 验证 token 是否有效
- * 3. 如果有效，把用户信息放到 req.user 中，继续执行后续代码
- * 4. 如果无效，返回错误信息
+ * 3. 检查 token 版本号是否与用户当前版本一致（重置密码后旧 token 失效）
+ *    检查账号状态（停用、注销冷静期中的账号会被拦截）
+ *    并检查 token 对应的登录会话是否已被注销（设备被踢下线）
+ *    用户和会话的查询结果会短暂缓存，见 utils/authCache.js
+ * 4. 如果有效，把用户信息（包括用户时区）放到 req.user 中，继续执行后续代码
+ * 5. 如果无效，返回错误信息
  * 
  * 使用方法：
  * 在需要登录才能访问的路由上加上这个中间件
  * 比如: router.get('/info', authMiddleware, handler)
+ *
+ * 注销冷静期中的账号默认也会被拦截，只有少数接口（查看信息、撤销注销、导出数据等）允许访问，
+ * 这些接口使用 authMiddleware.allowPendingDeletion
  */
 
 const jwt = require('jsonwebtoken');
+const { getAuthUser, isSessionActive } = require('../utils/authCache');
+const { getAccountBlock } = require('../utils/accountStatus');
 
-// 中间件是一个函数，接收 req, res, next 三个参数
-const authMiddleware = (req, res, next) => {
+/**
+ * 创建认证中间件
+ * @param {{allowPendingDeletion?: boolean}} [options]
+ *   allowPendingDeletion: 是否允许注销冷静期中的账号访问
+ */
+const createAuthMiddleware = (options = {}) => async (req, res, next) => {
   try {
     // 1. 从请求头获取 Authorization 字段
     // 前端请求时需要设置: headers: { Authorization: 'Bearer xxxxx' }
@@ -47,13 +60,69 @@ const authMiddleware = (req, res, next) => {
     // 如果验证失败会抛出错误
     const decoded = jwt.verify(token, req.app.get('JWT_SECRET'));
     
-    // 5. 把解码后的用户信息放到 req.user 中
+    // 带 purpose 的是一次性凭证（比如重置密码凭证），不能当作登录 token 使用
+    if (decoded.purpose) {
+      return res.json({
+        code: 401,
+        message: 'token 无效，请重新登录',
+        data: null
+      });
+    }
+    
+    // 5. 检查 token 版本号
+    // 旧版本签发的 token 没有 tokenVersion 字段，按 0 处理
+    const user = await getAuthUser(decoded.userId);
+    if (!user) {
+      return res.json({
+        code: 401,
+        message: '用户不存在，请重新登录',
+        data: { errorCode: 'ACCOUNT_NOT_FOUND' }
+      });
+    }
+    
+    if ((decoded.tokenVersion || 0) !== user.tokenVersion) {
+      return res.json({
+        code: 401,
+        message: '登录状态已失效，请重新登录',
+        data: null
+      });
+    }
+    
+    // 6. 检查账号状态
+    const block = getAccountBlock(user, { allowPendingDeletion: options.allowPendingDeletion });
+    if (block) {
+      return res.json({
+        code: block.code,
+        message: block.message,
+        data: {
+          errorCode: block.errorCode,
+          deletionScheduledAt: user.deletionScheduledAt
+        }
+      });
+    }
+    
+    // 7. 检查登录会话是否有效
+    // 早期签发的 token 没有会话 ID（sid），这类 token 到期前仍然可用
+    if (decoded.sid) {
+      if (!(await isSessionActive(decoded.sid))) {
+        return res.json({
+          code: 401,
+          message: '该设备已退出登录，请重新登录',
+          data: null
+        });
+      }
+    }
+    
+    // 8. 把解码后的用户信息放到 req.user 中
     // 这样后续的路由处理函数就能通过 req.user 获取当前用户信息
+    // timezone 用于计算用户当地的"今天"，见 utils/localDate.js
     req.user = {
-      userId: decoded.userId
+      userId: decoded.userId,
+      sessionId: decoded.sid || null,
+      timezone: user.timezone
     };
     
-    // 6. 调用 next() 继续执行下一个中间件或路由处理函数
+    // 9. 调用 next() 继续执行下一个中间件或路由处理函数
     next();
     
   } catch (error) {
@@ -86,4 +155,10 @@ const authMiddleware = (req, res, next) => {
   }
 };
 
+// 默认的认证中间件
+const authMiddleware = createAuthMiddleware();
+
+// 允许注销冷静期中的账号访问的版本
+authMiddleware.allowPendingDeletion = createAuthMiddleware({ allowPendingDeletion: true });
+
 module.exports = authMiddleware;
@@ -0,0 +1,38 @@
+/**
+ * ========================================
+ * 角色校验中间件 (Role Middleware)
+ * ========================================
+ * 在 authMiddleware 之后使用，检查当前登录用户是否拥有指定角色
+ * 角色以数据库中的最新值为准（不信任 token 里的信息）
+ *
+ * 使用方法：
+ * router.use(authMiddleware, requireRole('admin'))
+ */
+
+const User = require('../models/User');
+
+const requireRole = (role) => async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.userId).select('role');
+    
+    if (!user || user.role !== role) {
+      return res.json({
+        code: 403,
+        message: '没有权限访问',
+        data: null
+      });
+    }
+    
+    req.user.role = user.role;
+    next();
+    
+  } catch (error) {
+    return res.json({
+      code: 500,
+      message: '权限校验失败: ' + error.message,
+      data: null
+    });
+  }
+};
+
+module.exports = requireRole;
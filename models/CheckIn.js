@@ -48,16 +48,54 @@ const checkInSchema = new mongoose.Schema({
     content: String   // 任务内容，比如 "计划买入 xxx 股票"
   }],
   
+  // 违规类型（只有手欠签到才有），可以选多个，见 utils/violations.js
+  // category: 违规类型的 key  severity: 严重程度 1 轻微 / 2 一般 / 3 严重
+  violations: [{
+    _id: false,
+    category: String,
+    severity: Number
+  }],
+  
+  // 交易原则的遵守情况（可以只填一部分原则），见 utils/principles.js
+  // key: 原则 ID（预设原则为 preset-<序号>，自定义原则为 custom-<ObjectId>）
+  // text: 签到时自定义原则的文字（预设原则为 null），原则改名或删除后统计时仍然可以显示
+  // kept: 是否遵守
+  principles: [{
+    _id: false,
+    key: String,
+    text: String,
+    kept: Boolean
+  }],
+  
   // 备注
   note: {
     type: String,
     default: ''
   },
   
+  // 是否为补签（签到日期早于提交时的"今天"）
+  // 补签不计入连续签到天数，只是不让连续签到中断，见 routes/checkin.js 的统计接口
+  isBackfilled: {
+    type: Boolean,
+    default: false
+  },
+  
+  // 补签的实际提交时间（按时签到的记录为 null）
+  submittedAt: {
+    type: Date,
+    default: null
+  },
+  
   // 创建时间
   createdAt: {
     type: Date,
     default: Date.now
+  },
+  
+  // 更新时间（早期的记录没有这个字段，以 createdAt 为准）
+  updatedAt: {
+    type: Date,
+    default: Date.now
   }
 });
 
@@ -67,6 +105,12 @@ const checkInSchema = new mongoose.Schema({
 
 checkInSchema.index({ userId: 1, date: 1 }, { unique: true });
 
+// 每次保存前更新 updatedAt 字段
+checkInSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
 // ============ 创建并导出模型 ============
 
 const CheckIn = mongoose.model('CheckIn', checkInSchema);
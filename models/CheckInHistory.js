@@ -0,0 +1,74 @@
+/**
+ * ========================================
+ * 签到修改记录数据模型 (CheckInHistory Model)
+ * ========================================
+ * 每次修改或撤销签到，都会把修改前的内容保存一条记录，方便追溯
+ * 签到被撤销（删除）后，修改记录仍然保留，可以通过原签到 ID 查询
+ */
+
+const mongoose = require('mongoose');
+
+const checkInHistorySchema = new mongoose.Schema({
+  // 对应的签到记录 ID（签到被撤销后记录已不存在，这里仍然保留）
+  checkInId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CheckIn',
+    required: true
+  },
+  
+  // 所属用户
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  
+  // 签到日期，格式: "2024-01-15"
+  date: {
+    type: String,
+    required: true
+  },
+  
+  // 操作类型
+  // update: 修改  delete: 撤销
+  action: {
+    type: String,
+    enum: ['update', 'delete'],
+    required: true
+  },
+  
+  // 修改前的签到内容
+  previous: {
+    type: {
+      type: String,
+      enum: ['completed', 'incomplete']
+    },
+    incompleteTasks: [{
+      title: String,
+      content: String
+    }],
+    violations: [{
+      _id: false,
+      category: String,
+      severity: Number
+    }],
+    principles: [{
+      _id: false,
+      key: String,
+      text: String,
+      kept: Boolean
+    }],
+    note: String
+  },
+  
+  // 修改时间
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+checkInHistorySchema.index({ checkInId: 1, changedAt: -1 });
+checkInHistorySchema.index({ userId: 1 });
+
+module.exports = mongoose.model('CheckInHistory', checkInHistorySchema);
@@ -0,0 +1,53 @@
+/**
+ * ========================================
+ * 登录失败记录数据模型 (LoginAttempt Model)
+ * ========================================
+ * 按 手机号 和 IP 分别记录密码登录失败的情况，用于防暴力破解：
+ * key 格式为 "phone:13812345678" 或 "ip:1.2.3.4"
+ * 长时间没有新的失败记录后由 MongoDB 自动删除（TTL 索引）
+ */
+
+const mongoose = require('mongoose');
+
+const loginAttemptSchema = new mongoose.Schema({
+  // 记录的维度和值，比如 "phone:13812345678"
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  
+  // 连续失败次数（登录成功后清零）
+  failures: {
+    type: Number,
+    default: 0
+  },
+  
+  // 被锁定过的次数（用于逐次加长锁定时间）
+  lockCount: {
+    type: Number,
+    default: 0
+  },
+  
+  // 下一次允许尝试的时间（失败次数较多时需要等待一段时间）
+  nextAllowedAt: {
+    type: Date,
+    default: null
+  },
+  
+  // 锁定到什么时候（为空表示未锁定）
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  
+  // 记录过期时间（每次失败都会顺延）
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
@@ -0,0 +1,80 @@
+/**
+ * ========================================
+ * 登录会话数据模型 (Session Model)
+ * ========================================
+ * 每次登录会创建一条会话记录，对应一台设备
+ * 会话里保存刷新令牌（refresh token）的哈希值和设备信息：
+ * 1. access token 有效期很短，过期后用 refresh token 换取新的
+ * 2. 每次刷新都会换一个新的 refresh token（旧的立即作废）
+ * 3. 用户可以查看自己的所有登录设备，并把丢失的设备踢下线
+ */
+
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+  // 会话所属用户
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  
+  // 当前有效的 refresh token 的哈希值（数据库里不存明文）
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  
+  // 上一个 refresh token 的哈希值
+  // 如果有人拿已经换掉的旧 refresh token 来刷新，说明 token 可能被盗用，整个会话直接作废
+  previousRefreshTokenHash: {
+    type: String,
+    default: null,
+    index: true
+  },
+  
+  // 设备信息（由前端上报 + 请求头解析）
+  device: {
+    name: { type: String, default: '' },      // 设备名称，比如 "iPhone 15"
+    platform: { type: String, default: '' },  // 平台，比如 "ios" / "android"
+    userAgent: { type: String, default: '' },
+    ip: { type: String, default: '' }
+  },
+  
+  // 最近一次使用（登录或刷新）的时间
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  
+  // refresh token 过期时间
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  
+  // 被注销的时间（为空表示会话有效）
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  
+  // 创建时间（登录时间）
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// 过期的会话由 MongoDB 自动清理（TTL 索引）
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// ============ 实例方法：会话当前是否有效 ============
+
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,30 @@
+/**
+ * ========================================
+ * 短信重发冷却数据模型 (SmsCooldown Model)
+ * ========================================
+ * 每个手机号一条记录，lockedUntil 之前不能再次发送验证码
+ * 发送前通过一次原子更新占用冷却时间（见 utils/smsLimiter.js），
+ * 同一手机号的并发请求只有一个能拿到发送资格
+ */
+
+const mongoose = require('mongoose');
+
+const smsCooldownSchema = new mongoose.Schema({
+  // 手机号
+  phone: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  
+  // 冷却结束时间
+  lockedUntil: {
+    type: Date,
+    required: true
+  }
+});
+
+// 冷却结束一天后自动删除
+smsCooldownSchema.index({ lockedUntil: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('SmsCooldown', smsCooldownSchema);
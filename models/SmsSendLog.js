@@ -0,0 +1,45 @@
+/**
+ * ========================================
+ * 短信发送记录数据模型 (SmsSendLog Model)
+ * ========================================
+ * 每次发送验证码前先写入一条记录占用额度，发送失败时删除（见 utils/smsLimiter.js），用于防刷：
+ * 1. 同一手机号的重发冷却时间
+ * 2. 同一手机号、同一 IP 在 24 小时内的发送上限
+ * 记录保留 24 小时后由 MongoDB 自动删除（TTL 索引）
+ */
+
+const mongoose = require('mongoose');
+
+const smsSendLogSchema = new mongoose.Schema({
+  // 接收短信的手机号
+  phone: {
+    type: String,
+    required: true
+  },
+  
+  // 请求来源 IP
+  ip: {
+    type: String,
+    default: ''
+  },
+  
+  // 验证码用途
+  purpose: {
+    type: String,
+    default: ''
+  },
+  
+  // 发送时间
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+smsSendLogSchema.index({ phone: 1, createdAt: -1 });
+smsSendLogSchema.index({ ip: 1, createdAt: -1 });
+
+// 24 小时后自动删除
+smsSendLogSchema.index({ createdAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('SmsSendLog', smsSendLogSchema);
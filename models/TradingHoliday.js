@@ -0,0 +1,44 @@
+/**
+ * ========================================
+ * 交易所休市日数据模型 (TradingHoliday Model)
+ * ========================================
+ * 记录各市场工作日中的休市日（周末默认休市，不需要记录）
+ * 数据由管理员从 data/holidays 下的文件导入（见 routes/admin.js），
+ * 交易日历（utils/tradingCalendar.js）据此判断某天是否为交易日
+ */
+
+const mongoose = require('mongoose');
+
+const tradingHolidaySchema = new mongoose.Schema({
+  // 市场
+  // cn: 沪深交易所  hk: 港交所  us: 纽交所
+  market: {
+    type: String,
+    enum: ['cn', 'hk', 'us'],
+    required: true
+  },
+  
+  // 休市日期，格式 "YYYY-MM-DD"
+  date: {
+    type: String,
+    required: true
+  },
+  
+  // 节日名称
+  name: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  
+  // 导入时间
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// 同一市场同一天只能有一条
+tradingHolidaySchema.index({ market: 1, date: 1 }, { unique: true });
+
+module.exports = mongoose.model('TradingHoliday', tradingHolidaySchema);
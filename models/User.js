@@ -9,6 +9,53 @@
 const mongoose = require('mongoose');   // 引入 mongoose
 const bcrypt = require('bcryptjs');     // 引入 bcryptjs，用于密码加密
 
+// 短信注册时自动设置的默认密码
+const DEFAULT_PASSWORD = '123456';
+
+// ============ 用户资料（Profile）子文档 ============
+// 各字段的可选值和中文名称见 utils/profile.js
+
+const profileSchema = new mongoose.Schema({
+  // 头像在存储中的 key（见 utils/avatarStorage），访问地址由存储决定
+  avatar: {
+    type: String,
+    default: null
+  },
+  
+  // 时区（IANA 时区名，比如 Asia/Shanghai），用于按用户当地时间计算"今天"
+  timezone: {
+    type: String,
+    default: 'Asia/Shanghai',
+    trim: true
+  },
+  
+  // 关注的市场，可多选
+  // a-share: A股  hk: 港股  us: 美股  futures: 期货
+  markets: {
+    type: [{
+      type: String,
+      enum: ['a-share', 'hk', 'us', 'futures']
+    }],
+    default: []
+  },
+  
+  // 交易风格
+  // limit-up: 打板  dip: 低吸  trend: 趋势  swing: 波段
+  tradingStyle: {
+    type: String,
+    enum: ['limit-up', 'dip', 'trend', 'swing', null],
+    default: null
+  },
+  
+  // 交易年限（年）
+  yearsOfExperience: {
+    type: Number,
+    min: 0,
+    max: 60,
+    default: null
+  }
+}, { _id: false });
+
 // ============ 定义用户数据结构（Schema） ============
 // Schema 就是数据模板，规定每个字段的类型、是否必填、验证规则等
 
@@ -40,6 +87,56 @@ const userSchema = new mongoose.Schema({
     minlength: 6            // 密码最少 6 位
   },
   
+  // 角色
+  // user: 普通用户  admin: 管理员（可以访问 /api/admin 接口）
+  role: {
+    type: String,
+    enum: ['user', 'admin'],
+    default: 'user'
+  },
+  
+  // 账号状态，见 utils/accountStatus.js
+  // active: 正常  disabled: 被管理员停用  pending-deletion: 已申请注销（冷静期中）
+  status: {
+    type: String,
+    enum: ['active', 'disabled', 'pending-deletion'],
+    default: 'active'
+  },
+  
+  // 是否仍在使用默认密码（123456）
+  // 短信注册的账号默认密码都是 123456，需要用户尽快设置自己的密码
+  // 老数据没有这个字段（undefined），会在第一次用到时通过 hasDefaultPassword() 检测并补上
+  isDefaultPassword: {
+    type: Boolean
+  },
+  
+  // token 版本号
+  // 签发 token 时会把当前版本号写进 token，认证时版本号不一致的 token 视为失效
+  // 重置密码等操作会把版本号 +1，让之前签发的所有 token 立即失效
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  
+  // 用户资料（头像、时区、关注市场、交易风格、交易年限）
+  // 老数据没有这个字段，读取时用 utils/profile.js 的 formatProfile 补上默认值
+  profile: {
+    type: profileSchema,
+    default: () => ({})
+  },
+  
+  // 申请注销账号的时间（为空表示没有申请注销）
+  deletionRequestedAt: {
+    type: Date,
+    default: null
+  },
+  
+  // 计划彻底删除账号的时间（冷静期结束时间），到期后由定时任务删除全部数据
+  deletionScheduledAt: {
+    type: Date,
+    default: null
+  },
+  
   // 创建时间（自动记录用户注册时间）
   createdAt: {
     type: Date,
@@ -79,10 +176,31 @@ userSchema.methods.comparePassword = async function(inputPassword) {
   return await bcrypt.compare(inputPassword, this.password);
 };
 
+// ============ 实例方法：是否仍在使用默认密码 ============
+// 返回 true 表示用户需要先设置自己的密码（前端据此展示 mustSetPassword 提示）
+
+userSchema.methods.hasDefaultPassword = async function() {
+  // 已有标记，直接返回
+  if (typeof this.isDefaultPassword === 'boolean') {
+    return this.isDefaultPassword;
+  }
+  
+  // 老用户没有标记：比对一次默认密码，并把结果保存下来，下次就不用再比对
+  this.isDefaultPassword = await this.comparePassword(DEFAULT_PASSWORD);
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { isDefaultPassword: this.isDefaultPassword }
+  );
+  return this.isDefaultPassword;
+};
+
 // ============ 创建并导出模型 ============
 // mongoose.model('User', userSchema) 基于 Schema 创建 Model
 // Model 就像是一个类，可以用它来操作数据库（增删改查）
 
 const User = mongoose.model('User', userSchema);
 
+// 默认密码挂在模型上，方便路由里使用
+User.DEFAULT_PASSWORD = DEFAULT_PASSWORD;
+
 module.exports = User;
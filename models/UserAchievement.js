@@ -0,0 +1,35 @@
+/**
+ * ========================================
+ * 用户成就数据模型 (UserAchievement Model)
+ * ========================================
+ * 用户解锁的成就徽章，每个成就每个用户只有一条记录
+ * 成就规则在 data/achievements.json 中配置，见 utils/achievements.js
+ * 解锁后一直保留（之后撤销签到、删除感悟都不会收回）
+ */
+
+const mongoose = require('mongoose');
+
+const userAchievementSchema = new mongoose.Schema({
+  // 所属用户
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  
+  // 成就标识，对应配置文件中的 key，比如 streak-5
+  key: {
+    type: String,
+    required: true
+  },
+  
+  // 解锁时间
+  unlockedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+userAchievementSchema.index({ userId: 1, key: 1 }, { unique: true });
+
+module.exports = mongoose.model('UserAchievement', userAchievementSchema);
@@ -56,6 +56,13 @@ const userSettingsSchema = new mongoose.Schema({
     default: []
   },
   
+  // 自定义原则的 ID，和 customPrinciples 按下标一一对应，格式 custom-<ObjectId>
+  // 签到记录通过 ID 引用原则，修改原则文字不会影响历史签到，见 utils/principles.js
+  customPrincipleIds: {
+    type: [String],
+    default: []
+  },
+  
   // 交易功课列表
   tradingHomework: {
     type: [tradingItemSchema],
@@ -92,6 +99,16 @@ const userSettingsSchema = new mongoose.Schema({
 // 每次保存前更新 updatedAt 字段
 userSettingsSchema.pre('save', function(next) {
   this.updatedAt = new Date();
+  
+  // 自定义原则缺少 ID 的补上（老数据，或者只修改了 customPrinciples 的地方）
+  const count = this.customPrinciples.length;
+  if (this.customPrincipleIds.length !== count) {
+    const ids = this.customPrincipleIds.slice(0, count);
+    while (ids.length < count) {
+      ids.push(`custom-${new mongoose.Types.ObjectId()}`);
+    }
+    this.customPrincipleIds = ids;
+  }
   next();
 });
 
@@ -0,0 +1,60 @@
+/**
+ * ========================================
+ * 短信验证码数据模型 (VerificationCode Model)
+ * ========================================
+ * 验证码存在 MongoDB 里，服务重启或多实例部署时都能正常校验
+ * 1. 只保存验证码的哈希值，不保存明文
+ * 2. 每个 手机号 + 用途 只保留最新的一条，重新发送会覆盖旧的
+ * 3. 过期的验证码由 MongoDB 自动删除（TTL 索引）
+ * 4. 记录错误次数，超过上限后验证码作废
+ */
+
+const mongoose = require('mongoose');
+
+const verificationCodeSchema = new mongoose.Schema({
+  // 手机号
+  phone: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  
+  // 用途，见 utils/sms.js 中的 SMS_PURPOSES
+  purpose: {
+    type: String,
+    enum: ['register', 'login', 'reset', 'change-phone', 'delete-account'],
+    required: true
+  },
+  
+  // 验证码的哈希值
+  codeHash: {
+    type: String,
+    required: true
+  },
+  
+  // 已经输错的次数
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  
+  // 过期时间
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  
+  // 创建（发送）时间
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// 同一手机号同一用途只有一条验证码
+verificationCodeSchema.index({ phone: 1, purpose: 1 }, { unique: true });
+
+// 到期自动删除
+verificationCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('VerificationCode', verificationCodeSchema);
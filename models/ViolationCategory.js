@@ -0,0 +1,65 @@
+/**
+ * ========================================
+ * 违规类型数据模型 (ViolationCategory Model)
+ * ========================================
+ * "手欠"签到时可以标记具体违反了哪些交易纪律（追高、满仓、不止损……）
+ * - 系统类型：userId 为空，启动时从 data/violation-categories.json 同步（每个部署可以修改这个文件）
+ * - 自定义类型：userId 为创建的用户，只有本人可见
+ * 签到记录里保存的是类型的 key，类型停用后历史签到仍然可以显示名称
+ */
+
+const mongoose = require('mongoose');
+
+const violationCategorySchema = new mongoose.Schema({
+  // 类型标识，保存在签到记录里
+  // 系统类型为文件中配置的 key（比如 chase-high），自定义类型为 custom-<随机 ID>
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  
+  // 类型名称，比如 "追高"
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 20
+  },
+  
+  // 说明
+  description: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  
+  // 创建的用户（系统类型为 null）
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  
+  // 是否可用（删除自定义类型、系统文件中移除的类型都只是停用，历史签到仍可显示名称）
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  
+  // 排序（系统类型按文件中的顺序）
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+  
+  // 创建时间
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+violationCategorySchema.index({ userId: 1, isActive: 1 });
+
+module.exports = mongoose.model('ViolationCategory', violationCategorySchema);
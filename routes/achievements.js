@@ -0,0 +1,50 @@
+/**
+ * ========================================
+ * 成就路由
+ * ========================================
+ * 1. GET /api/achievements - 获取全部成就（已解锁的带解锁时间，未解锁的带进度）
+ *
+ * 成就在签到、保存交易感悟时自动解锁，规则见 utils/achievements.js
+ * 所有接口都需要用户登录（携带 token）
+ */
+
+const express = require('express');
+const authMiddleware = require('../middleware/auth');
+const { evaluateAchievements } = require('../utils/achievements');
+
+const router = express.Router();
+
+router.use(authMiddleware);
+
+// ============ 接口1：获取全部成就 ============
+// 请求方式: GET
+// 请求地址: /api/achievements
+// 返回：achievements 按配置文件的顺序，earned 表示是否已解锁，progress 为当前进度
+// 说明：查询时也会检查一次，已经达到条件的成就（比如上线成就功能之前的签到）会在这里解锁，并出现在 newAchievements 中
+
+router.get('/', async (req, res) => {
+  try {
+    const { achievements, unlocked } = await evaluateAchievements(req.user.userId, req.user.timezone);
+    
+    res.json({
+      code: 200,
+      message: '获取成功',
+      data: {
+        total: achievements.length,
+        earnedCount: achievements.filter(a => a.earned).length,
+        achievements,
+        newAchievements: unlocked
+      }
+    });
+    
+  } catch (error) {
+    console.error('获取成就失败:', error);
+    res.json({
+      code: 500,
+      message: '获取成就失败',
+      data: null
+    });
+  }
+});
+
+module.exports = router;
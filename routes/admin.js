@@ -0,0 +1,469 @@
+/**
+ * ========================================
+ * 管理后台路由 (Admin Routes)
+ * ========================================
+ * 这个文件处理管理员使用的接口：
+ * 1. GET /api/admin/users              - 用户列表（支持按手机号/用户名搜索）
+ * 2. GET /api/admin/users/:id          - 用户详情（含签到、每日记录数量）
+ * 3. PUT /api/admin/users/:id/status   - 停用/启用账号
+ * 4. GET /api/admin/stats              - 平台统计（每日签到人数、完成/手欠比例走势）
+ * 5. GET /api/admin/holidays           - 查看交易所休市日
+ * 6. POST /api/admin/holidays/load     - 从 data/holidays 下的文件导入交易所休市日
+ *
+ * 注意：所有接口都需要登录，且当前用户的角色必须是 admin
+ * 设置管理员：在数据库中把用户的 role 字段改为 "admin"
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const CheckIn = require('../models/CheckIn');
+const DailyRecord = require('../models/DailyRecord');
+const TradingHoliday = require('../models/TradingHoliday');
+const authMiddleware = require('../middleware/auth');
+const requireRole = require('../middleware/requireRole');
+const { revokeAllSessions } = require('../utils/token');
+const { ACCOUNT_STATUS } = require('../utils/accountStatus');
+const { invalidateUser } = require('../utils/authCache');
+const { getToday, addDays } = require('../utils/localDate');
+const {
+  CALENDAR_MARKETS,
+  CALENDAR_MARKET_LABELS,
+  DEFAULT_HOLIDAY_FILE,
+  readHolidayFile,
+  saveHolidays
+} = require('../utils/tradingCalendar');
+
+const router = express.Router();
+
+// 所有管理接口都需要先登录，再检查管理员角色
+router.use(authMiddleware, requireRole('admin'));
+
+/**
+ * 转义正则特殊字符（搜索关键字用）
+ */
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * 用户 => 列表中展示的字段
+ */
+function formatUser(user) {
+  return {
+    id: user._id,
+    username: user.username,
+    phone: user.phone,
+    role: user.role,
+    status: user.status,
+    deletionScheduledAt: user.deletionScheduledAt || null,
+    createdAt: user.createdAt
+  };
+}
+
+// ============ 接口1：用户列表 ============
+// 请求方式: GET
+// 请求地址: /api/admin/users?keyword=138&status=active&page=1&pageSize=20
+// 说明：keyword 按手机号或用户名模糊搜索；status 按账号状态筛选
+
+router.get('/users', async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(req.query.pageSize) || 20, 1), 100);
+    const { status } = req.query;
+    
+    if (req.query.keyword !== undefined && typeof req.query.keyword !== 'string') {
+      return res.json({
+        code: 400,
+        message: 'keyword 格式错误',
+        data: null
+      });
+    }
+    if (status && !Object.values(ACCOUNT_STATUS).includes(status)) {
+      return res.json({
+        code: 400,
+        message: `状态只能是 ${Object.values(ACCOUNT_STATUS).join(' / ')}`,
+        data: null
+      });
+    }
+    
+    const keyword = (req.query.keyword || '').trim();
+    
+    const filter = {};
+    if (keyword) {
+      const regex = new RegExp(escapeRegex(keyword), 'i');
+      filter.$or = [{ phone: regex }, { username: regex }];
+    }
+    if (status) {
+      filter.status = status;
+    }
+    
+    const [total, users] = await Promise.all([
+      User.countDocuments(filter),
+      User.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * pageSize)
+        .limit(pageSize)
+    ]);
+    
+    res.json({
+      code: 200,
+      message: '获取成功',
+      data: {
+        total: total,
+        page: page,
+        pageSize: pageSize,
+        users: users.map(formatUser)
+      }
+    });
+    
+  } catch (error) {
+    console.error('获取用户列表错误:', error);
+    res.json({
+      code: 500,
+      message: '获取用户列表失败',
+      data: null
+    });
+  }
+});
+
+// ============ 接口2：用户详情 ============
+// 请求方式: GET
+// 请求地址: /api/admin/users/:id
+
+router.get('/users/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.json({
+        code: 400,
+        message: '用户 ID 格式错误',
+        data: null
+      });
+    }
+    
+    const user = await User.findById(id);
+    if (!user) {
+      return res.json({
+        code: 404,
+        message: '用户不存在',
+        data: null
+      });
+    }
+    
+    // 统计签到数量（按类型分组）和每日记录数量
+    const [checkInGroups, dailyRecordCount, lastCheckIn] = await Promise.all([
+      CheckIn.aggregate([
+        { $match: { userId: user._id } },
+        { $group: { _id: '$type', count: { $sum: 1 } } }
+      ]),
+      DailyRecord.countDocuments({ userId: user._id }),
+      CheckIn.findOne({ userId: user._id }).sort({ date: -1 }).select('date')
+    ]);
+    
+    const completed = (checkInGroups.find(g => g._id === 'completed') || {}).count || 0;
+    const incomplete = (checkInGroups.find(g => g._id === 'incomplete') || {}).count || 0;
+    
+    res.json({
+      code: 200,
+      message: '获取成功',
+      data: {
+        user: formatUser(user),
+        checkIns: {
+          total: completed + incomplete,
+          completed: completed,
+          incomplete: incomplete,
+          lastDate: lastCheckIn ? lastCheckIn.date : null
+        },
+        dailyRecords: {
+          total: dailyRecordCount
+        }
+      }
+    });
+    
+  } catch (error) {
+    console.error('获取用户详情错误:', error);
+    res.json({
+      code: 500,
+      message: '获取用户详情失败',
+      data: null
+    });
+  }
+});
+
+// ============ 接口3：停用/启用账号 ============
+// 请求方式: PUT
+// 请求地址: /api/admin/users/:id/status
+// 请求体: { status: "disabled" } 或 { status: "active" }
+// 说明：停用后该用户所有设备立即退出登录，且不能再登录
+
+router.put('/users/:id/status', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status } = req.body;
+    
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.json({
+        code: 400,
+        message: '用户 ID 格式错误',
+        data: null
+      });
+    }
+    
+    if (![ACCOUNT_STATUS.ACTIVE, ACCOUNT_STATUS.DISABLED].includes(status)) {
+      return res.json({
+        code: 400,
+        message: '状态只能是 active（启用）或 disabled（停用）',
+        data: null
+      });
+    }
+    
+    if (id === String(req.user.userId)) {
+      return res.json({
+        code: 400,
+        message: '不能修改自己的账号状态',
+        data: null
+      });
+    }
+    
+    const user = await User.findById(id);
+    if (!user) {
+      return res.json({
+        code: 404,
+        message: '用户不存在',
+        data: null
+      });
+    }
+    
+    // 启用时如果用户还在注销冷静期内，恢复为注销中状态
+    user.status = status === ACCOUNT_STATUS.ACTIVE && user.deletionScheduledAt
+      ? ACCOUNT_STATUS.PENDING_DELETION
+      : status;
+    
+    // 停用：版本号 +1 让已签发的 token 立即失效，并注销所有登录会话
+    if (status === ACCOUNT_STATUS.DISABLED) {
+      user.tokenVersion = (user.tokenVersion || 0) + 1;
+    }
+    await user.save();
+    invalidateUser(user._id);
+    
+    if (status === ACCOUNT_STATUS.DISABLED) {
+      await revokeAllSessions(user._id);
+    }
+    
+    res.json({
+      code: 200,
+      message: status === ACCOUNT_STATUS.DISABLED ? '账号已停用' : '账号已启用',
+      data: {
+        user: formatUser(user)
+      }
+    });
+    
+  } catch (error) {
+    console.error('修改账号状态错误:', error);
+    res.json({
+      code: 500,
+      message: '修改失败: ' + error.message,
+      data: null
+    });
+  }
+});
+
+// ============ 接口4：平台统计 ============
+// 请求方式: GET
+// 请求地址: /api/admin/stats?days=30
+// 返回：平台总量，以及最近 days 天（默认 30，最多 365）每天的签到人数、完成/手欠数量和完成率
+
+router.get('/stats', async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365);
+    
+    // 统计区间的日期列表（含今天，按管理员所在时区）
+    const dates = [];
+    const today = getToday(req.user.timezone);
+    for (let i = days - 1; i >= 0; i--) {
+      dates.push(addDays(today, -i));
+    }
+    const startDate = dates[0];
+    const endDate = dates[dates.length - 1];
+    
+    const [userCount, disabledCount, checkInCount, dailyRecordCount, dailyGroups] = await Promise.all([
+      User.countDocuments(),
+      User.countDocuments({ status: ACCOUNT_STATUS.DISABLED }),
+      CheckIn.countDocuments(),
+      DailyRecord.countDocuments(),
+      // 按日期分组：每个用户每天最多一条签到，所以签到数就是当天签到的人数
+      CheckIn.aggregate([
+        { $match: { date: { $gte: startDate, $lte: endDate } } },
+        {
+          $group: {
+            _id: '$date',
+            total: { $sum: 1 },
+            completed: { $sum: { $cond: [{ $eq: ['$type', 'completed'] }, 1, 0] } }
+          }
+        }
+      ])
+    ]);
+    
+    // 补齐没有签到的日期
+    const groupByDate = new Map(dailyGroups.map(g => [g._id, g]));
+    const daily = dates.map(date => {
+      const group = groupByDate.get(date) || { total: 0, completed: 0 };
+      return {
+        date: date,
+        activeUsers: group.total,
+        completed: group.completed,
+        incomplete: group.total - group.completed,
+        completionRate: group.total ? Number((group.completed / group.total).toFixed(4)) : null
+      };
+    });
+    
+    const rangeTotal = daily.reduce((sum, d) => sum + d.activeUsers, 0);
+    const rangeCompleted = daily.reduce((sum, d) => sum + d.completed, 0);
+    
+    res.json({
+      code: 200,
+      message: '获取成功',
+      data: {
+        totals: {
+          users: userCount,
+          disabledUsers: disabledCount,
+          checkIns: checkInCount,
+          dailyRecords: dailyRecordCount
+        },
+        range: {
+          from: startDate,
+          to: endDate,
+          checkIns: rangeTotal,
+          completed: rangeCompleted,
+          incomplete: rangeTotal - rangeCompleted,
+          completionRate: rangeTotal ? Number((rangeCompleted / rangeTotal).toFixed(4)) : null
+        },
+        daily: daily
+      }
+    });
+    
+  } catch (error) {
+    console.error('获取平台统计错误:', error);
+    res.json({
+      code: 500,
+      message: '获取平台统计失败',
+      data: null
+    });
+  }
+});
+
+// ============ 接口5：查看交易所休市日 ============
+// 请求方式: GET
+// 请求地址: /api/admin/holidays?market=cn&year=2025
+// 说明：market 可选 cn（沪深）/ hk（港交所）/ us（纽交所），不传返回全部市场；year 不传返回全部年份
+//       只返回已导入数据库的数据
+
+router.get('/holidays', async (req, res) => {
+  try {
+    const { market, year } = req.query;
+    
+    const filter = {};
+    if (market) {
+      if (!CALENDAR_MARKET_LABELS[market]) {
+        return res.json({
+          code: 400,
+          message: `市场只能是 ${Object.values(CALENDAR_MARKETS).join(' / ')}`,
+          data: null
+        });
+      }
+      filter.market = market;
+    }
+    if (year) {
+      if (!/^\d{4}$/.test(year)) {
+        return res.json({
+          code: 400,
+          message: '年份格式错误，应为 YYYY',
+          data: null
+        });
+      }
+      filter.date = { $gte: `${year}-01-01`, $lte: `${year}-12-31` };
+    }
+    
+    const holidays = await TradingHoliday.find(filter).sort({ market: 1, date: 1 }).lean();
+    
+    res.json({
+      code: 200,
+      message: '获取成功',
+      data: {
+        total: holidays.length,
+        holidays: holidays.map(h => ({
+          market: h.market,
+          date: h.date,
+          name: h.name
+        }))
+      }
+    });
+    
+  } catch (error) {
+    console.error('获取休市日错误:', error);
+    res.json({
+      code: 500,
+      message: '获取休市日失败',
+      data: null
+    });
+  }
+});
+
+// ============ 接口6：导入交易所休市日 ============
+// 请求方式: POST
+// 请求地址: /api/admin/holidays/load
+// 请求体: { file: "holidays.csv" }（可选，默认 holidays.csv）
+// 说明：从项目 data/holidays 目录下的 CSV / JSON 文件导入，格式见 utils/tradingCalendar.js
+//       文件中出现的每个"市场 + 年份"以文件为准，会覆盖数据库中该年份的旧数据
+//       文件中有任何一条数据不合法时整个文件都不导入
+
+router.post('/holidays/load', async (req, res) => {
+  try {
+    const file = (req.body && req.body.file) || DEFAULT_HOLIDAY_FILE;
+    
+    let parsed;
+    try {
+      parsed = await readHolidayFile(file);
+    } catch (error) {
+      return res.json({
+        code: 400,
+        message: error.code === 'ENOENT' ? `文件不存在：data/holidays/${file}` : `文件读取失败：${error.message}`,
+        data: null
+      });
+    }
+    
+    if (parsed.errors.length > 0) {
+      return res.json({
+        code: 400,
+        message: '文件中有不合法的数据，未导入',
+        data: {
+          errors: parsed.errors
+        }
+      });
+    }
+    
+    const imported = await saveHolidays(parsed.holidays);
+    
+    res.json({
+      code: 200,
+      message: '休市日已导入',
+      data: {
+        file: file,
+        total: parsed.holidays.length,
+        imported: imported
+      }
+    });
+    
+  } catch (error) {
+    console.error('导入休市日错误:', error);
+    res.json({
+      code: 500,
+      message: '导入失败: ' + error.message,
+      data: null
+    });
+  }
+});
+
+module.exports = router;
@@ -7,13 +7,29 @@
  * 2. GET  /api/checkin       - 获取签到记录列表（按月）
  * 3. GET  /api/checkin/today - 获取今日签到状态
  * 4. GET  /api/checkin/stats - 获取签到统计数据
+ * 5. PUT    /api/checkin/:id         - 修改签到记录（限可修改时间内）
+ * 6. DELETE /api/checkin/:id         - 撤销签到记录（限可修改时间内）
+ * 7. GET    /api/checkin/:id/history - 查看签到的修改记录
+ * 8. GET    /api/checkin/principles-report - 每条交易原则的遵守情况统计
+ * 9. GET    /api/checkin/calendar  - 签到日历（每天的签到状态 + 按月、按周汇总，用于年度热力图）
  * 
  * 注意：所有签到接口都需要登录（携带 token）
  */
 
 const express = require('express');
+const mongoose = require('mongoose');
 const CheckIn = require('../models/CheckIn');        // 引入签到模型
+const CheckInHistory = require('../models/CheckInHistory'); // 签到修改记录
 const authMiddleware = require('../middleware/auth'); // 引入认证中间件
+const { getToday, addDays, isValidDateString } = require('../utils/localDate'); // 按用户时区计算日期
+const { getUserTradingCalendar } = require('../utils/tradingCalendar'); // 交易日历（跳过周末和节假日）
+const { getEditDeadline, canEditCheckIn, recordCheckInHistory } = require('../utils/checkInEdit');
+const { checkCheckInDate } = require('../utils/checkInBackfill');
+const { normalizeViolations } = require('../utils/violations');
+const { MAX_REPORT_DAYS, normalizePrinciples, getPrinciplesReport } = require('../utils/principles');
+const { MAX_CALENDAR_DAYS, getCheckInCalendar } = require('../utils/checkInCalendar');
+const { STATS_RANGES, resolveStatsRange, getCheckInStats } = require('../utils/checkInStats');
+const { checkAchievements } = require('../utils/achievements');
 
 // 创建路由器
 const router = express.Router();
@@ -22,16 +38,65 @@ const router = express.Router();
 // router.use() 会对这个路由器下的所有路由生效
 router.use(authMiddleware);
 
+/**
+ * 按 ID 查找当前用户自己的签到记录
+ * 找不到时直接返回错误响应，并返回 null
+ */
+async function findOwnCheckIn(req, res) {
+  const { id } = req.params;
+  
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.json({
+      code: 400,
+      message: '签到 ID 格式错误',
+      data: null
+    });
+    return null;
+  }
+  
+  const checkIn = await CheckIn.findOne({ _id: id, userId: req.user.userId });
+  if (!checkIn) {
+    res.json({
+      code: 404,
+      message: '签到记录不存在',
+      data: null
+    });
+    return null;
+  }
+  return checkIn;
+}
+
+/**
+ * 校验签到提交的违规类型
+ * 完成签到不能填写违规类型；没有填写时返回空数组
+ * @returns {Promise<{error: string}|{violations: Array}>}
+ */
+async function checkViolations(violations, type, userId) {
+  if (violations === undefined || violations === null) {
+    return { violations: [] };
+  }
+  if (type === 'completed' && Array.isArray(violations) && violations.length > 0) {
+    return { error: '完成签到不能填写违规类型' };
+  }
+  return normalizeViolations(violations, userId);
+}
+
 // ============ 接口1：创建签到记录 ============
 // 请求方式: POST
 // 请求地址: /api/checkin
 // 请求头: Authorization: Bearer <token>
-// 请求体: { type: "completed", incompleteTasks: [], note: "" }
+// 请求体: { type: "completed", incompleteTasks: [], note: "", date: "2024-01-15", violations: [], principles: [] }
+// 说明：violations 只有手欠签到可以填写，比如 [{ category: "chase-high", severity: 3 }]，
+//       category 为违规类型的 key（GET /api/violations/categories），severity 为 1 轻微 / 2 一般 / 3 严重
+// 说明：principles 记录每条交易原则是否遵守，比如 [{ key: "preset-0", kept: true }, { key: "custom-xxx", kept: false }]，
+//       key 为原则 ID（GET /api/settings 返回的 principles），可以只填一部分原则
+// 说明：date 可选，不传表示今天；不能是未来的日期，早于今天的按补签处理，
+//       只能补签最近 CHECKIN_BACKFILL_DAYS 天（见 utils/checkInBackfill.js）
 
 router.post('/', async (req, res) => {
   try {
     // 1. 获取请求参数
-    const { type, incompleteTasks, note, date } = req.body;
+    const { type, incompleteTasks, note, date, violations, principles } = req.body;
     
     // 2. 参数校验
     if (!type) {
@@ -51,10 +116,42 @@ router.post('/', async (req, res) => {
       });
     }
     
+    // 校验违规类型（只有手欠签到可以填写）
+    const violationCheck = await checkViolations(violations, type, req.user.userId);
+    if (violationCheck.error) {
+      return res.json({
+        code: 400,
+        message: violationCheck.error,
+        data: null
+      });
+    }
+    
+    // 校验交易原则的遵守情况
+    const principleCheck = principles === undefined || principles === null
+      ? { principles: [] }
+      : await normalizePrinciples(principles, req.user.userId);
+    if (principleCheck.error) {
+      return res.json({
+        code: 400,
+        message: principleCheck.error,
+        data: null
+      });
+    }
+    
     // 3. 获取签到日期
-    // 如果前端传了 date 就用传的，否则用今天的日期
-    // toISOString() 返回 "2024-01-15T08:30:00.000Z"，取前10个字符就是日期
-    const checkInDate = date || new Date().toISOString().slice(0, 10);
+    // 如果前端传了 date 就用传的，否则用用户所在时区的今天
+    const today = getToday(req.user.timezone);
+    const checkInDate = date || today;
+    
+    // 校验日期：不能是未来的日期，补签有天数限制
+    const dateCheck = checkCheckInDate(checkInDate, today);
+    if (dateCheck.error) {
+      return res.json({
+        code: 400,
+        message: dateCheck.error,
+        data: null
+      });
+    }
     
     // 4. 检查今天是否已经签到
     // 通过 userId + date 的组合查找
@@ -64,14 +161,18 @@ router.post('/', async (req, res) => {
     });
     
     if (existingCheckIn) {
+      // 还在可修改时间内的话，前端可以引导用户修改已有的签到（PUT /api/checkin/:id）
+      const calendar = await getUserTradingCalendar(req.user.userId);
       return res.json({
         code: 400,
-        message: '今天已经签到过了，不能重复签到',
+        message: checkInDate === today ? '今天已经签到过了，不能重复签到' : '该日期已经签到过了，不能重复签到',
         data: {
           existingRecord: {
             id: existingCheckIn._id,
             date: existingCheckIn.date,
-            type: existingCheckIn.type
+            type: existingCheckIn.type,
+            editable: canEditCheckIn(existingCheckIn, calendar),
+            editableUntil: getEditDeadline(existingCheckIn, calendar)
           }
         }
       });
@@ -84,12 +185,19 @@ router.post('/', async (req, res) => {
       type: type,
       isCompleted: type === 'completed', // completed 时为 true
       incompleteTasks: incompleteTasks || [],
-      note: note || ''
+      violations: violationCheck.violations,
+      principles: principleCheck.principles,
+      note: note || '',
+      isBackfilled: dateCheck.isBackfilled,
+      submittedAt: dateCheck.isBackfilled ? new Date() : null
     });
     
     // 6. 保存到数据库
     await checkIn.save();
     
+    // 检查有没有新解锁的成就
+    const newAchievements = await checkAchievements(req.user.userId, req.user.timezone);
+    
     // 7. 返回成功结果
     res.json({
       code: 200,
@@ -101,8 +209,13 @@ router.post('/', async (req, res) => {
           type: checkIn.type,
           isCompleted: checkIn.isCompleted,
           incompleteTasks: checkIn.incompleteTasks,
-          note: checkIn.note
-        }
+          violations: checkIn.violations,
+          principles: checkIn.principles,
+          note: checkIn.note,
+          isBackfilled: checkIn.isBackfilled,
+          submittedAt: checkIn.submittedAt
+        },
+        newAchievements
       }
     });
     
@@ -134,10 +247,10 @@ router.post('/', async (req, res) => {
 router.get('/', async (req, res) => {
   try {
     // 1. 获取查询参数
-    // 如果没传就用当前年月
-    const now = new Date();
-    const year = parseInt(req.query.year) || now.getFullYear();
-    const month = parseInt(req.query.month) || (now.getMonth() + 1); // getMonth() 从 0 开始
+    // 如果没传就用用户所在时区的当前年月
+    const [currentYear, currentMonth] = getToday(req.user.timezone).split('-').map(Number);
+    const year = parseInt(req.query.year) || currentYear;
+    const month = parseInt(req.query.month) || currentMonth;
     
     // 2. 构造日期范围
     // padStart(2, '0') 把数字补成两位，比如 1 变成 "01"
@@ -173,7 +286,10 @@ router.get('/', async (req, res) => {
           type: r.type,
           isCompleted: r.isCompleted,
           incompleteTasks: r.incompleteTasks,
-          note: r.note
+          violations: r.violations,
+          principles: r.principles,
+          note: r.note,
+          isBackfilled: !!r.isBackfilled
         }))
       }
     });
@@ -195,8 +311,8 @@ router.get('/', async (req, res) => {
 
 router.get('/today', async (req, res) => {
   try {
-    // 获取今天的日期字符串
-    const today = new Date().toISOString().slice(0, 10);
+    // 获取用户所在时区今天的日期字符串
+    const today = getToday(req.user.timezone);
     
     // 查找今天的签到记录
     const record = await CheckIn.findOne({
@@ -206,6 +322,7 @@ router.get('/today', async (req, res) => {
     
     if (record) {
       // 今天已签到
+      const calendar = await getUserTradingCalendar(req.user.userId);
       res.json({
         code: 200,
         message: '今天已签到',
@@ -217,7 +334,10 @@ router.get('/today', async (req, res) => {
             type: record.type,
             isCompleted: record.isCompleted,
             incompleteTasks: record.incompleteTasks,
-            note: record.note
+            violations: record.violations,
+            principles: record.principles,
+            note: record.note,
+            editableUntil: getEditDeadline(record, calendar)
           }
         }
       });
@@ -245,79 +365,386 @@ router.get('/today', async (req, res) => {
 
 // ============ 接口4：获取签到统计数据 ============
 // 请求方式: GET
-// 请求地址: /api/checkin/stats
-// 返回：本月统计、总体统计、连续签到天数
+// 请求地址: /api/checkin/stats?range=1y
+// 返回：本月统计、总体统计、当前连续签到天数、历史最长连续签到 / 连续无违规，
+//       以及 range 范围内按周/月/季度的遵守率、月环比和手欠签到的星期分布
+// 说明：range 可选 30d / 90d / 180d / 1y / all，默认 1y
+//       连续签到和漏签只按交易日计算（周末、交易所节假日不算），
+//       交易日历按用户资料中第一个关注的市场确定，没有设置时按 A 股
+//       统计逻辑见 utils/checkInStats.js
 
 router.get('/stats', async (req, res) => {
   try {
-    const now = new Date();
-    const year = now.getFullYear();
-    const month = now.getMonth() + 1;
+    // 按用户所在时区确定今天
+    const today = getToday(req.user.timezone);
     
-    // 1. 获取本月统计
-    const monthStr = String(month).padStart(2, '0');
-    const monthStart = `${year}-${monthStr}-01`;
-    const monthEnd = `${year}-${monthStr}-31`;
+    const range = resolveStatsRange(req.query.range, today);
+    if (!range) {
+      return res.json({
+        code: 400,
+        message: `range 只能是 ${Object.keys(STATS_RANGES).join(' / ')}`,
+        data: null
+      });
+    }
     
-    const monthlyRecords = await CheckIn.find({
-      userId: req.user.userId,
-      date: { $gte: monthStart, $lte: monthEnd }
+    // 按用户关注的市场确定交易日历
+    const calendar = await getUserTradingCalendar(req.user.userId);
+    
+    const stats = await getCheckInStats(req.user.userId, { today, calendar, range });
+    
+    res.json({
+      code: 200,
+      message: '获取成功',
+      data: stats
     });
     
-    // 2. 获取所有签到记录（用于计算总体统计和连续签到）
-    const allRecords = await CheckIn.find({
-      userId: req.user.userId
-    }).sort({ date: -1 }); // 按日期降序，最新的在前面
-    
-    // 3. 计算连续签到天数
-    let streak = 0;
-    const today = now.toISOString().slice(0, 10);
-    const yesterday = new Date(now.getTime() - 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
-    
-    // 获取所有签到日期
-    const checkInDates = allRecords.map(r => r.date);
-    
-    // 如果今天或昨天有签到，才计算连续签到
-    if (checkInDates.includes(today) || checkInDates.includes(yesterday)) {
-      // 从最近一次签到开始往前数
-      let checkDate = checkInDates.includes(today) ? today : yesterday;
-      
-      while (checkInDates.includes(checkDate)) {
-        streak++;
-        // 往前推一天
-        const prevDate = new Date(checkDate);
-        prevDate.setDate(prevDate.getDate() - 1);
-        checkDate = prevDate.toISOString().slice(0, 10);
+  } catch (error) {
+    console.error('获取统计数据错误:', error);
+    res.json({
+      code: 500,
+      message: '获取统计数据失败',
+      data: null
+    });
+  }
+});
+
+// ============ 接口5：修改签到记录 ============
+// 请求方式: PUT
+// 请求地址: /api/checkin/:id
+// 请求体: { type: "completed", incompleteTasks: [], note: "", violations: [], principles: [] }（只修改传了的字段）
+//       改成完成签到时会清空违规类型；principles 会整体替换，签到里已删除的原则可以保留
+// 说明：只能在可修改时间内修改（默认到签到日期之后的下一个交易日开盘前，见 utils/checkInEdit.js）
+//       每次修改都会保存修改前的内容，可以通过接口7查看
+
+router.put('/:id', async (req, res) => {
+  try {
+    const { type, incompleteTasks, note, violations, principles } = req.body;
+    
+    if (type === undefined && incompleteTasks === undefined && note === undefined
+      && violations === undefined && principles === undefined) {
+      return res.json({
+        code: 400,
+        message: '没有需要修改的内容',
+        data: null
+      });
+    }
+    
+    if (type !== undefined && !['completed', 'incomplete'].includes(type)) {
+      return res.json({
+        code: 400,
+        message: '签到类型必须是 completed（完成）或 incomplete（手欠）',
+        data: null
+      });
+    }
+    
+    if (incompleteTasks !== undefined && !Array.isArray(incompleteTasks)) {
+      return res.json({
+        code: 400,
+        message: '未完成任务必须是数组',
+        data: null
+      });
+    }
+    
+    const checkIn = await findOwnCheckIn(req, res);
+    if (!checkIn) {
+      return;
+    }
+    
+    const calendar = await getUserTradingCalendar(req.user.userId);
+    if (!canEditCheckIn(checkIn, calendar)) {
+      return res.json({
+        code: 403,
+        message: '已超过可修改时间，不能再修改这条签到',
+        data: {
+          editableUntil: getEditDeadline(checkIn, calendar)
+        }
+      });
+    }
+    
+    // 校验违规类型：按修改后的签到类型判断
+    const newType = type === undefined ? checkIn.type : type;
+    const violationCheck = await checkViolations(violations, newType, req.user.userId);
+    if (violationCheck.error) {
+      return res.json({
+        code: 400,
+        message: violationCheck.error,
+        data: null
+      });
+    }
+    
+    // 校验交易原则：签到里原有的原则即使已经删除也可以保留
+    const principleCheck = principles === undefined || principles === null
+      ? { principles: [] }
+      : await normalizePrinciples(principles, req.user.userId, checkIn.principles);
+    if (principleCheck.error) {
+      return res.json({
+        code: 400,
+        message: principleCheck.error,
+        data: null
+      });
+    }
+    
+    // 先保存修改前的内容，再修改
+    await recordCheckInHistory(checkIn, 'update');
+    
+    if (type !== undefined) {
+      checkIn.type = type;
+      checkIn.isCompleted = type === 'completed';
+    }
+    if (incompleteTasks !== undefined) {
+      checkIn.incompleteTasks = incompleteTasks;
+    }
+    if (note !== undefined) {
+      checkIn.note = note || '';
+    }
+    if (violations !== undefined || newType === 'completed') {
+      checkIn.violations = violationCheck.violations;
+    }
+    if (principles !== undefined) {
+      checkIn.principles = principleCheck.principles;
+    }
+    await checkIn.save();
+    
+    const newAchievements = await checkAchievements(req.user.userId, req.user.timezone);
+    
+    res.json({
+      code: 200,
+      message: '签到已修改',
+      data: {
+        checkIn: {
+          id: checkIn._id,
+          date: checkIn.date,
+          type: checkIn.type,
+          isCompleted: checkIn.isCompleted,
+          incompleteTasks: checkIn.incompleteTasks,
+          violations: checkIn.violations,
+          principles: checkIn.principles,
+          note: checkIn.note,
+          editableUntil: getEditDeadline(checkIn, calendar)
+        },
+        newAchievements
       }
+    });
+    
+  } catch (error) {
+    console.error('修改签到错误:', error);
+    res.json({
+      code: 500,
+      message: '修改签到失败: ' + error.message,
+      data: null
+    });
+  }
+});
+
+// ============ 接口6：撤销签到记录 ============
+// 请求方式: DELETE
+// 请求地址: /api/checkin/:id
+// 说明：和修改一样只能在可修改时间内撤销；撤销后当天可以重新签到
+
+router.delete('/:id', async (req, res) => {
+  try {
+    const checkIn = await findOwnCheckIn(req, res);
+    if (!checkIn) {
+      return;
+    }
+    
+    const calendar = await getUserTradingCalendar(req.user.userId);
+    if (!canEditCheckIn(checkIn, calendar)) {
+      return res.json({
+        code: 403,
+        message: '已超过可修改时间，不能再撤销这条签到',
+        data: {
+          editableUntil: getEditDeadline(checkIn, calendar)
+        }
+      });
     }
     
-    // 4. 返回统计数据
+    await recordCheckInHistory(checkIn, 'delete');
+    await CheckIn.deleteOne({ _id: checkIn._id });
+    
+    res.json({
+      code: 200,
+      message: '签到已撤销',
+      data: {
+        id: checkIn._id,
+        date: checkIn.date
+      }
+    });
+    
+  } catch (error) {
+    console.error('撤销签到错误:', error);
+    res.json({
+      code: 500,
+      message: '撤销签到失败: ' + error.message,
+      data: null
+    });
+  }
+});
+
+// ============ 接口7：查看签到的修改记录 ============
+// 请求方式: GET
+// 请求地址: /api/checkin/:id/history
+// 返回：每次修改/撤销前的内容，最新的在前面（签到被撤销后仍然可以查看）
+
+router.get('/:id/history', async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.json({
+        code: 400,
+        message: '签到 ID 格式错误',
+        data: null
+      });
+    }
+    
+    const history = await CheckInHistory.find({
+      checkInId: id,
+      userId: req.user.userId
+    }).sort({ changedAt: -1 });
+    
     res.json({
       code: 200,
       message: '获取成功',
       data: {
-        // 本月统计
-        monthly: {
-          total: monthlyRecords.length,
-          completed: monthlyRecords.filter(r => r.isCompleted).length,
-          incomplete: monthlyRecords.filter(r => !r.isCompleted).length
-        },
-        // 总体统计
-        overall: {
-          total: allRecords.length,
-          completed: allRecords.filter(r => r.isCompleted).length,
-          incomplete: allRecords.filter(r => !r.isCompleted).length
-        },
-        // 连续签到天数
-        streak: streak
+        history: history.map(h => ({
+          id: h._id,
+          date: h.date,
+          action: h.action,
+          previous: {
+            type: h.previous.type,
+            incompleteTasks: h.previous.incompleteTasks,
+            violations: h.previous.violations,
+            principles: h.previous.principles,
+            note: h.previous.note
+          },
+          changedAt: h.changedAt
+        }))
       }
     });
     
   } catch (error) {
-    console.error('获取统计数据错误:', error);
+    console.error('获取签到修改记录错误:', error);
     res.json({
       code: 500,
-      message: '获取统计数据失败',
+      message: '获取修改记录失败',
+      data: null
+    });
+  }
+});
+
+// ============ 接口8：交易原则遵守情况统计 ============
+// 请求方式: GET
+// 请求地址: /api/checkin/principles-report?from=2024-01-01&to=2024-03-31
+// 说明：from / to 都可以不传，默认统计最近 12 周（含今天），一次最多查询 366 天
+// 返回：每条原则的记录次数、遵守/违反次数、遵守率、最近一次违反的日期（不限区间），
+//       以及按周的遵守率（trend）和变化方向（trendDirection：improving 变好 / declining 变差 / stable 持平）
+//       当前启用的原则都会返回（isActive: true）；已删除的原则只要区间内有记录也会返回，显示签到时的原则文字
+
+router.get('/principles-report', async (req, res) => {
+  try {
+    const today = getToday(req.user.timezone);
+    const to = req.query.to || today;
+    
+    // 先校验日期再计算默认的开始日期（addDays 遇到不合法的日期会出错）
+    if (!isValidDateString(to) || (req.query.from && !isValidDateString(req.query.from))) {
+      return res.json({
+        code: 400,
+        message: '日期格式错误，应为 YYYY-MM-DD',
+        data: null
+      });
+    }
+    
+    const from = req.query.from || addDays(to, -83);
+    
+    if (from > to) {
+      return res.json({
+        code: 400,
+        message: '开始日期不能晚于结束日期',
+        data: null
+      });
+    }
+    
+    if (addDays(from, MAX_REPORT_DAYS - 1) < to) {
+      return res.json({
+        code: 400,
+        message: `一次最多查询 ${MAX_REPORT_DAYS} 天`,
+        data: null
+      });
+    }
+    
+    const report = await getPrinciplesReport(req.user.userId, from, to);
+    
+    res.json({
+      code: 200,
+      message: '获取成功',
+      data: report
+    });
+    
+  } catch (error) {
+    console.error('获取原则遵守统计错误:', error);
+    res.json({
+      code: 500,
+      message: '获取原则遵守统计失败',
+      data: null
+    });
+  }
+});
+
+// ============ 接口9：签到日历 ============
+// 请求方式: GET
+// 请求地址: /api/checkin/calendar?from=2024-01-01&to=2024-12-31
+// 说明：from / to 都可以不传，默认最近 365 天（含今天），一次最多查询 366 天
+// 返回：days 为每天的状态字符串（第一个字符是 from 这一天，含义见 legend），
+//       summary / months / weeks 为整个区间、每月、每周（周一开始）的签到数、交易日数和漏签数
+//       交易日按用户关注的市场确定，和统计接口一样
+
+router.get('/calendar', async (req, res) => {
+  try {
+    const today = getToday(req.user.timezone);
+    const to = req.query.to || today;
+    
+    // 先校验日期再计算默认的开始日期（addDays 遇到不合法的日期会出错）
+    if (!isValidDateString(to) || (req.query.from && !isValidDateString(req.query.from))) {
+      return res.json({
+        code: 400,
+        message: '日期格式错误，应为 YYYY-MM-DD',
+        data: null
+      });
+    }
+    
+    const from = req.query.from || addDays(to, -364);
+    
+    if (from > to) {
+      return res.json({
+        code: 400,
+        message: '开始日期不能晚于结束日期',
+        data: null
+      });
+    }
+    
+    if (addDays(from, MAX_CALENDAR_DAYS - 1) < to) {
+      return res.json({
+        code: 400,
+        message: `一次最多查询 ${MAX_CALENDAR_DAYS} 天`,
+        data: null
+      });
+    }
+    
+    const calendar = await getUserTradingCalendar(req.user.userId);
+    const result = await getCheckInCalendar(req.user.userId, from, to, calendar, today);
+    
+    res.json({
+      code: 200,
+      message: '获取成功',
+      data: result
+    });
+    
+  } catch (error) {
+    console.error('获取签到日历错误:', error);
+    res.json({
+      code: 500,
+      message: '获取签到日历失败',
       data: null
     });
   }
@@ -3,6 +3,7 @@
  * 每日记录路由
  * ========================================
  * 处理每日交易计划和交易感悟的增删改查
+ * 路径中的 :date 为 YYYY-MM-DD，也可以传 today（按用户时区计算）
  * 所有接口都需要用户登录（携带 token）
  */
 
@@ -10,9 +11,20 @@ const express = require('express');
 const router = express.Router();
 const DailyRecord = require('../models/DailyRecord');
 const authMiddleware = require('../middleware/auth');
+const { getToday } = require('../utils/localDate');
+const { checkAchievements } = require('../utils/achievements');
+
+// 路径里的日期可以写成 today，表示用户所在时区的今天
+// 比如 GET /api/daily/today 等同于 GET /api/daily/2024-01-15（北京时间）
+const resolveDateParam = (req, res, next) => {
+  if (req.params.date === 'today') {
+    req.params.date = getToday(req.user.timezone);
+  }
+  next();
+};
 
 // ============ 接口1：获取指定日期的记录 ============
-router.get('/:date', authMiddleware, async (req, res) => {
+router.get('/:date', authMiddleware, resolveDateParam, async (req, res) => {
   try {
     const { date } = req.params;
     
@@ -66,7 +78,7 @@ router.get('/:date', authMiddleware, async (req, res) => {
 });
 
 // ============ 接口2：保存/更新指定日期的记录 ============
-router.put('/:date', authMiddleware, async (req, res) => {
+router.put('/:date', authMiddleware, resolveDateParam, async (req, res) => {
   try {
     const { date } = req.params;
     const { tradingPlans, reflection } = req.body;
@@ -108,13 +120,19 @@ router.put('/:date', authMiddleware, async (req, res) => {
     
     await record.save();
     
+    // 写了交易感悟的话，检查有没有新解锁的成就
+    const newAchievements = record.reflection
+      ? await checkAchievements(req.user.userId, req.user.timezone)
+      : [];
+    
     res.json({
       code: 200,
       message: '保存成功',
       data: {
         date: record.date,
         tradingPlans: record.tradingPlans,
-        reflection: record.reflection
+        reflection: record.reflection,
+        newAchievements
       }
     });
   } catch (error) {
@@ -128,7 +146,7 @@ router.put('/:date', authMiddleware, async (req, res) => {
 });
 
 // ============ 接口3：添加单个交易计划 ============
-router.post('/:date/plan', authMiddleware, async (req, res) => {
+router.post('/:date/plan', authMiddleware, resolveDateParam, async (req, res) => {
   try {
     const { date } = req.params;
     const { title, content } = req.body;
@@ -193,7 +211,7 @@ router.post('/:date/plan', authMiddleware, async (req, res) => {
 });
 
 // ============ 接口4：更新单个交易计划 ============
-router.put('/:date/plan/:id', authMiddleware, async (req, res) => {
+router.put('/:date/plan/:id', authMiddleware, resolveDateParam, async (req, res) => {
   try {
     const { date, id } = req.params;
     const { title, content } = req.body;
@@ -255,7 +273,7 @@ router.put('/:date/plan/:id', authMiddleware, async (req, res) => {
 });
 
 // ============ 接口5：删除单个交易计划 ============
-router.delete('/:date/plan/:id', authMiddleware, async (req, res) => {
+router.delete('/:date/plan/:id', authMiddleware, resolveDateParam, async (req, res) => {
   try {
     const { date, id } = req.params;
     
@@ -307,7 +325,7 @@ router.delete('/:date/plan/:id', authMiddleware, async (req, res) => {
 });
 
 // ============ 接口6：保存交易感悟 ============
-router.put('/:date/reflection', authMiddleware, async (req, res) => {
+router.put('/:date/reflection', authMiddleware, resolveDateParam, async (req, res) => {
   try {
     const { date } = req.params;
     const { reflection } = req.body;
@@ -339,11 +357,16 @@ router.put('/:date/reflection', authMiddleware, async (req, res) => {
     
     await record.save();
     
+    const newAchievements = record.reflection
+      ? await checkAchievements(req.user.userId, req.user.timezone)
+      : [];
+    
     res.json({
       code: 200,
       message: '保存成功',
       data: {
-        reflection: record.reflection
+        reflection: record.reflection,
+        newAchievements
       }
     });
   } catch (error) {
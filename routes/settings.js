@@ -10,6 +10,7 @@ const express = require('express');
 const router = express.Router();
 const UserSettings = require('../models/UserSettings');
 const authMiddleware = require('../middleware/auth');
+const { updateCustomPrinciples, listActivePrinciples } = require('../utils/principles');
 
 // 默认的交易功课和计划（用于新用户或没有数据的老用户）
 const DEFAULT_HOMEWORK = [
@@ -52,6 +53,11 @@ router.get('/', authMiddleware, async (req, res) => {
         needSave = true;
       }
       
+      // 老数据的自定义原则没有 ID，保存时会自动补上
+      if (settings.customPrincipleIds.length !== settings.customPrinciples.length) {
+        needSave = true;
+      }
+      
       if (needSave) {
         await settings.save();
       }
@@ -63,6 +69,8 @@ router.get('/', authMiddleware, async (req, res) => {
       data: {
         presetPrinciples: settings.presetPrinciples,
         customPrinciples: settings.customPrinciples,
+        customPrincipleIds: settings.customPrincipleIds,
+        principles: listActivePrinciples(settings),
         tradingHomework: settings.tradingHomework,
         tradingPlans: settings.tradingPlans
       }
@@ -78,6 +86,9 @@ router.get('/', authMiddleware, async (req, res) => {
 });
 
 // ============ 接口2：保存交易原则（预设+自定义） ============
+// 请求体: { presetPrinciples: [{ index: 0, isSelected: true }], customPrinciples: ["不追高", { id: "custom-xxx", text: "改名后的原则" }] }
+// 说明：customPrinciples 的每一项可以是文字，也可以是带 ID 的 { id, text }
+//       修改原则文字时请带上 ID（GET 返回的 customPrincipleIds），这样历史签到的统计会算在同一条原则上
 router.put('/principles', authMiddleware, async (req, res) => {
   try {
     const { presetPrinciples, customPrinciples } = req.body;
@@ -99,9 +110,9 @@ router.put('/principles', authMiddleware, async (req, res) => {
       settings.presetPrinciples = presetPrinciples;
     }
     
-    // 更新自定义原则
+    // 更新自定义原则（保持原则 ID 不变）
     if (Array.isArray(customPrinciples)) {
-      settings.customPrinciples = customPrinciples.filter(p => p && p.trim());
+      updateCustomPrinciples(settings, customPrinciples);
     }
     
     await settings.save();
@@ -111,7 +122,9 @@ router.put('/principles', authMiddleware, async (req, res) => {
       message: '交易原则保存成功',
       data: {
         presetPrinciples: settings.presetPrinciples,
-        customPrinciples: settings.customPrinciples
+        customPrinciples: settings.customPrinciples,
+        customPrincipleIds: settings.customPrincipleIds,
+        principles: listActivePrinciples(settings)
       }
     });
   } catch (error) {
@@ -9,24 +9,82 @@
  * 4. GET  /api/user/info           - 获取用户信息（需要登录）
  * 5. PUT  /api/user/username       - 修改用户名（需要登录）
  * 6. PUT  /api/user/password       - 修改密码（需要登录）
+ * 7. POST /api/user/login-by-code  - 验证码登录（未注册的手机号自动注册）
+ * 8. POST /api/user/password/reset-verify - 找回密码：校验验证码，换取重置凭证
+ * 9. POST /api/user/password/reset        - 找回密码：用重置凭证设置新密码
+ * 10. PUT /api/user/initial-password      - 首次设置密码（仅限仍在使用默认密码的账号，需要登录）
+ * 11. POST   /api/user/refresh-token      - 用 refresh token 换取新的 token
+ * 12. POST   /api/user/logout             - 退出当前设备（需要登录）
+ * 13. GET    /api/user/sessions           - 查看所有登录设备（需要登录）
+ * 14. DELETE /api/user/sessions/:id       - 踢下线某台设备（需要登录）
+ * 15. DELETE /api/user                    - 申请注销账号，进入冷静期（需要登录）
+ * 16. POST   /api/user/deletion/cancel    - 撤销注销申请（需要登录）
+ * 17. GET    /api/user/export             - 导出个人全部数据（JSON 归档 / CSV，需要登录）
+ * 18. POST   /api/user/import             - 从导出的 JSON 归档导入/恢复数据（需要登录）
+ * 19. POST   /api/user/phone/verify-old   - 更换手机号：验证原手机号（需要登录）
+ * 20. PUT    /api/user/phone              - 更换手机号：验证新手机号并完成更换（需要登录）
+ * 21. PUT    /api/user/profile            - 修改用户资料：时区、关注市场、交易风格、交易年限（需要登录）
+ * 22. PUT    /api/user/profile/avatar     - 上传头像（需要登录）
+ * 23. DELETE /api/user/profile/avatar     - 删除头像（需要登录）
+ *
+ * 登录类接口（register / login / login-by-code / password/reset）统一返回：
+ * { user, token, refreshToken, expiresIn }
+ * token 有效期较短（expiresIn 秒），过期前用 refreshToken 调用 /refresh-token 换新
+ * 请求体里可以带上 device: { name: "iPhone 15", platform: "ios" }，用于设备管理列表展示
  */
 
 const express = require('express');
+const mongoose = require('mongoose');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const authMiddleware = require('../middleware/auth');
-const { sendSmsCode, verifySmsCode, getSmsStatus } = require('../utils/sms');
+const {
+  createSession,
+  renewSession,
+  refreshSession,
+  revokeSession,
+  revokeAllSessions
+} = require('../utils/token');
+const Session = require('../models/Session');
+const { SMS_PURPOSES, sendSmsCode, verifySmsCode, getSmsStatus } = require('../utils/sms');
+const { SMS_LIMITS, reserveSmsSend, releaseSmsSend } = require('../utils/smsLimiter');
+const { getAccountBlock } = require('../utils/accountStatus');
+const { invalidateUser } = require('../utils/authCache');
+const { formatProfile, buildProfileUpdate } = require('../utils/profile');
+const { AVATAR_MAX_BYTES, getAvatarStorage, detectImageType } = require('../utils/avatarStorage');
+const { streamJsonExport, streamCsvExport } = require('../utils/dataExport');
+const { IMPORT_POLICIES, validateArchive, importArchive } = require('../utils/dataImport');
+const {
+  DELETION_GRACE_DAYS,
+  requestAccountDeletion,
+  cancelAccountDeletion
+} = require('../utils/accountDeletion');
+const {
+  LOGIN_GUARD_ERRORS,
+  checkLoginAllowed,
+  recordLoginFailure,
+  clearLoginFailures
+} = require('../utils/loginGuard');
 
 const router = express.Router();
 
 // ============ 调试：查看短信配置状态（Render 上可访问此接口确认环境变量是否生效） ============
-// GET /api/user/sms-status  返回 mockMode、rawSMS_MOCK_MODE、各配置是否已填（不返回密钥）
-router.get('/sms-status', (req, res) => {
-  res.json({
-    code: 200,
-    message: 'ok',
-    data: getSmsStatus()
-  });
+// GET /api/user/sms-status  返回当前短信通道、各配置是否已填、通道是否健康（不返回密钥）
+router.get('/sms-status', async (req, res) => {
+  try {
+    res.json({
+      code: 200,
+      message: 'ok',
+      data: await getSmsStatus()
+    });
+  } catch (error) {
+    console.error('获取短信状态错误:', error);
+    res.json({
+      code: 500,
+      message: '获取短信状态失败',
+      data: null
+    });
+  }
 });
 
 /**
@@ -38,14 +96,84 @@ function generateRandomUsername() {
   return `用户${randomNum}`;
 }
 
+/**
+ * 生成一个未被占用的随机用户名
+ */
+async function generateUniqueUsername() {
+  let username = generateRandomUsername();
+  while (await User.findOne({ username })) {
+    username = generateRandomUsername();
+  }
+  return username;
+}
+
+/**
+ * 用登录密码确认身份（注销账号、更换手机号等操作），和密码登录共用失败次数限制（utils/loginGuard.js），防止暴力破解
+ * @returns {Promise<null|{code: number, message: string, data: object}>} 验证通过返回 null，否则返回要响应的内容
+ */
+async function verifyPasswordWithGuard(req, user, password) {
+  const guard = await checkLoginAllowed(user.phone, req.ip);
+  if (!guard.allowed) {
+    return {
+      code: 429,
+      message: guard.message,
+      data: {
+        errorCode: guard.errorCode,
+        retryAfter: guard.retryAfter,
+        remainingAttempts: 0
+      }
+    };
+  }
+  
+  const isMatch = await user.comparePassword(password);
+  if (!isMatch) {
+    const failure = await recordLoginFailure(user.phone, req.ip);
+    return {
+      code: 400,
+      message: failure.locked
+        ? '密码错误次数过多，账号已被临时锁定，可使用验证码登录解锁'
+        : `密码错误，还可以尝试 ${failure.remainingAttempts} 次`,
+      data: {
+        errorCode: failure.locked ? LOGIN_GUARD_ERRORS.ACCOUNT_LOCKED : null,
+        remainingAttempts: failure.remainingAttempts,
+        retryAfter: failure.retryAfter
+      }
+    };
+  }
+  
+  await clearLoginFailures(user.phone);
+  return null;
+}
+
+// 重置密码凭证的用途标识和有效期
+const RESET_TICKET_PURPOSE = 'password-reset';
+const RESET_TICKET_EXPIRES_IN = '10m';
+
+// 更换手机号凭证（验证原手机号后签发）的用途标识和有效期
+const PHONE_CHANGE_TICKET_PURPOSE = 'phone-change';
+const PHONE_CHANGE_TICKET_EXPIRES_IN = '10m';
+
 // ============ 接口1：发送短信验证码 ============
 // 请求方式: POST
 // 请求地址: /api/user/send-code
-// 请求体: { phone: "13812345678" }
+// 请求体: { phone: "13812345678", purpose: "reset", captchaToken: "xxx" }
+// 说明：purpose 可选
+//       - 不传：已注册的手机号发送登录验证码，未注册的发送注册验证码
+//       - reset：找回密码验证码
+//       - delete-account：注销账号验证码
+//       reset / delete-account 的手机号未注册时不发送，但返回和发送成功相同的结果（不暴露手机号是否注册）
+//       - change-phone：更换手机号验证码（原手机号和新手机号都用这个用途）
+//       captchaToken 可选，发送次数达到阈值后必须携带（人机验证通过后获得）
+// 防刷限制（被拦截时 code 为 429，data.errorCode 区分原因，data.retryAfter 为需等待的秒数）：
+//       - SMS_COOLDOWN：重发冷却中
+//       - SMS_PHONE_DAILY_LIMIT：该手机号 24 小时内发送次数已满
+//       - SMS_IP_DAILY_LIMIT：该 IP 24 小时内发送次数已满
+//       - CAPTCHA_REQUIRED / CAPTCHA_INVALID：需要人机验证 / 人机验证未通过
+// 发送成功时 data.cooldown 为下次可重发的等待秒数
 
 router.post('/send-code', async (req, res) => {
   try {
-    const { phone } = req.body;
+    const { phone, purpose, captchaToken } = req.body;
     
     // 验证手机号
     if (!phone) {
@@ -65,13 +193,65 @@ router.post('/send-code', async (req, res) => {
       });
     }
     
-    // 发送验证码
-    const result = await sendSmsCode(phone);
+    // 确定验证码用途
+    const existingUser = await User.findOne({ phone }).select('_id');
+    let codePurpose;
+    
+    if (!purpose) {
+      codePurpose = existingUser ? SMS_PURPOSES.LOGIN : SMS_PURPOSES.REGISTER;
+    } else if (purpose === SMS_PURPOSES.CHANGE_PHONE) {
+      // 原手机号已注册、新手机号未注册，这里不做区分，更换时再校验
+      codePurpose = SMS_PURPOSES.CHANGE_PHONE;
+    } else if (purpose === SMS_PURPOSES.RESET || purpose === SMS_PURPOSES.DELETE_ACCOUNT) {
+      codePurpose = purpose;
+    } else {
+      return res.json({
+        code: 400,
+        message: '验证码用途不正确',
+        data: null
+      });
+    }
+    
+    // 防刷检查，通过后占用一次发送额度
+    const limit = await reserveSmsSend({ phone, ip: req.ip, purpose: codePurpose, captchaToken });
+    if (!limit.allowed) {
+      return res.json({
+        code: 429,
+        message: limit.message,
+        data: {
+          errorCode: limit.errorCode,
+          retryAfter: limit.retryAfter || 0
+        }
+      });
+    }
+    
+    // 找回密码、注销账号：不管手机号是否注册都返回同样的结果，未注册时不发送（额度照常占用）
+    const hidesAccount = codePurpose === SMS_PURPOSES.RESET || codePurpose === SMS_PURPOSES.DELETE_ACCOUNT;
+    if (hidesAccount && !existingUser) {
+      return res.json({
+        code: 200,
+        message: '验证码已发送',
+        data: { cooldown: SMS_LIMITS.resendCooldownSeconds }
+      });
+    }
+    
+    // 发送验证码，失败时撤回占用的额度
+    let result;
+    try {
+      result = await sendSmsCode(phone, codePurpose);
+    } catch (error) {
+      await releaseSmsSend(limit.reservation);
+      throw error;
+    }
+    
+    if (!result.success) {
+      await releaseSmsSend(limit.reservation);
+    }
     
     res.json({
       code: result.success ? 200 : 400,
-      message: result.message,
-      data: null
+      message: result.success && hidesAccount ? '验证码已发送' : result.message,
+      data: result.success ? { cooldown: SMS_LIMITS.resendCooldownSeconds } : null
     });
     
   } catch (error) {
@@ -89,6 +269,7 @@ router.post('/send-code', async (req, res) => {
 // 请求地址: /api/user/register
 // 请求体: { phone: "13812345678", code: "123456" }
 // 说明：用户名自动生成，密码默认为 123456
+//       返回的 user.mustSetPassword 为 true，前端应引导用户调用 /initial-password 设置密码
 
 router.post('/register', async (req, res) => {
   try {
@@ -113,48 +294,41 @@ router.post('/register', async (req, res) => {
       });
     }
     
-    // 验证短信验证码
-    const verifyResult = verifySmsCode(phone, code);
-    if (!verifyResult.success) {
+    // 检查手机号是否已被注册
+    const existingPhone = await User.findOne({ phone });
+    if (existingPhone) {
       return res.json({
         code: 400,
-        message: verifyResult.message,
+        message: '该手机号已注册，请直接登录',
         data: null
       });
     }
     
-    // 检查手机号是否已被注册
-    const existingPhone = await User.findOne({ phone });
-    if (existingPhone) {
+    // 验证短信验证码
+    const verifyResult = await verifySmsCode(phone, code, SMS_PURPOSES.REGISTER);
+    if (!verifyResult.success) {
       return res.json({
         code: 400,
-        message: '该手机号已注册，请直接登录',
+        message: verifyResult.message,
         data: null
       });
     }
     
-    // 生成随机用户名
-    let username = generateRandomUsername();
-    // 确保用户名唯一
-    while (await User.findOne({ username })) {
-      username = generateRandomUsername();
-    }
+    // 生成随机用户名（确保唯一）
+    const username = await generateUniqueUsername();
     
     // 创建新用户（默认密码：123456）
     const user = new User({
       username,
       phone,
-      password: '123456'
+      password: User.DEFAULT_PASSWORD,
+      isDefaultPassword: true
     });
     
     await user.save();
     
     // 生成 JWT token
-    const token = jwt.sign(
-      { userId: user._id },
-      req.app.get('JWT_SECRET'),
-      { expiresIn: '7d' }
-    );
+    const session = await createSession(req, user);
     
     res.json({
       code: 200,
@@ -163,9 +337,12 @@ router.post('/register', async (req, res) => {
         user: {
           id: user._id,
           username: user.username,
-          phone: user.phone
+          phone: user.phone,
+          mustSetPassword: await user.hasDefaultPassword()
         },
-        token: token
+        token: session.token,
+        refreshToken: session.refreshToken,
+        expiresIn: session.expiresIn
       }
     });
     
@@ -183,6 +360,11 @@ router.post('/register', async (req, res) => {
 // 请求方式: POST
 // 请求地址: /api/user/login
 // 请求体: { phone: "13812345678", password: "123456" }
+// 防暴力破解：
+//       - 密码错误时 data.remainingAttempts 为账号被锁定前剩余的尝试次数，data.retryAfter 为需等待的秒数
+//       - 被拦截时 code 为 429，data.errorCode 区分原因：
+//         LOGIN_THROTTLED（尝试太频繁）、ACCOUNT_LOCKED（账号临时锁定）、IP_LOCKED（当前 IP 临时禁止）
+//       - 账号锁定后可以用验证码登录（/login-by-code）或找回密码提前解锁
 
 router.post('/login', async (req, res) => {
   try {
@@ -196,31 +378,54 @@ router.post('/login', async (req, res) => {
       });
     }
     
-    const user = await User.findOne({ phone });
-    
-    if (!user) {
+    // 检查是否被限制登录
+    const guard = await checkLoginAllowed(phone, req.ip);
+    if (!guard.allowed) {
       return res.json({
-        code: 401,
-        message: '手机号或密码错误',
-        data: null
+        code: 429,
+        message: guard.message,
+        data: {
+          errorCode: guard.errorCode,
+          retryAfter: guard.retryAfter,
+          remainingAttempts: 0
+        }
       });
     }
     
-    const isMatch = await user.comparePassword(password);
+    const user = await User.findOne({ phone });
+    
+    // 手机号不存在和密码错误都记为失败，并返回相同的提示，避免被用来探测手机号是否注册
+    const isMatch = user ? await user.comparePassword(password) : false;
     
     if (!isMatch) {
+      const failure = await recordLoginFailure(phone, req.ip);
       return res.json({
         code: 401,
-        message: '手机号或密码错误',
-        data: null
+        message: failure.locked
+          ? '密码错误次数过多，账号已被临时锁定，可使用验证码登录解锁'
+          : `手机号或密码错误，还可以尝试 ${failure.remainingAttempts} 次`,
+        data: {
+          errorCode: failure.locked ? LOGIN_GUARD_ERRORS.ACCOUNT_LOCKED : null,
+          remainingAttempts: failure.remainingAttempts,
+          retryAfter: failure.retryAfter
+        }
       });
     }
     
-    const token = jwt.sign(
-      { userId: user._id },
-      req.app.get('JWT_SECRET'),
-      { expiresIn: '7d' }
-    );
+    // 账号状态检查：被管理员停用的不能登录；注销冷静期中的可以登录，以便撤销注销
+    const block = getAccountBlock(user, { allowPendingDeletion: true });
+    if (block) {
+      return res.json({
+        code: block.code,
+        message: block.message,
+        data: { errorCode: block.errorCode }
+      });
+    }
+    
+    // 登录成功，清除失败记录
+    await clearLoginFailures(phone);
+    
+    const session = await createSession(req, user);
     
     res.json({
       code: 200,
@@ -229,9 +434,12 @@ router.post('/login', async (req, res) => {
         user: {
           id: user._id,
           username: user.username,
-          phone: user.phone
+          phone: user.phone,
+          mustSetPassword: await user.hasDefaultPassword()
         },
-        token: token
+        token: session.token,
+        refreshToken: session.refreshToken,
+        expiresIn: session.expiresIn
       }
     });
     
@@ -250,7 +458,7 @@ router.post('/login', async (req, res) => {
 // 请求地址: /api/user/info
 // 请求头: Authorization: Bearer <token>
 
-router.get('/info', authMiddleware, async (req, res) => {
+router.get('/info', authMiddleware.allowPendingDeletion, async (req, res) => {
   try {
     const user = await User.findById(req.user.userId);
     
@@ -270,7 +478,11 @@ router.get('/info', authMiddleware, async (req, res) => {
           id: user._id,
           username: user.username,
           phone: user.phone,
-          createdAt: user.createdAt
+          createdAt: user.createdAt,
+          mustSetPassword: await user.hasDefaultPassword(),
+          status: user.status,
+          deletionScheduledAt: user.deletionScheduledAt || null,
+          profile: formatProfile(user)
         }
       }
     });
@@ -354,11 +566,15 @@ router.put('/username', authMiddleware, async (req, res) => {
 // 请求方式: PUT
 // 请求地址: /api/user/password
 // 请求头: Authorization: Bearer <token>
-// 请求体: { oldPassword: "旧密码", newPassword: "新密码" }
+// 请求体: { oldPassword: "旧密码", newPassword: "新密码", logoutOtherDevices: true }
+// 说明：修改成功后，之前签发的所有 token 立即失效，当前设备会拿到新的 token / refreshToken
+//       logoutOtherDevices（默认 true）：同时让其他设备退出登录
+//       传 false 时其他设备的 refreshToken 仍然有效，刷新后可以继续使用
 
 router.put('/password', authMiddleware, async (req, res) => {
   try {
     const { oldPassword, newPassword } = req.body;
+    const logoutOtherDevices = req.body.logoutOtherDevices !== false;
     
     if (!oldPassword || !newPassword) {
       return res.json({
@@ -396,14 +612,29 @@ router.put('/password', authMiddleware, async (req, res) => {
       });
     }
     
-    // 更新密码
+    // 更新密码，版本号 +1 让之前签发的所有 token 失效
     user.password = newPassword;
+    user.isDefaultPassword = newPassword === User.DEFAULT_PASSWORD;
+    user.tokenVersion = (user.tokenVersion || 0) + 1;
     await user.save();
+    invalidateUser(user._id);
+    
+    // 其他设备退出登录
+    if (logoutOtherDevices) {
+      await revokeAllSessions(user._id, req.user.sessionId);
+    }
+    
+    // 当前设备换发新的凭证
+    const session = await renewSession(req, user);
     
     res.json({
       code: 200,
-      message: '密码修改成功',
-      data: null
+      message: logoutOtherDevices ? '密码修改成功，其他设备已退出登录' : '密码修改成功',
+      data: {
+        token: session.token,
+        refreshToken: session.refreshToken,
+        expiresIn: session.expiresIn
+      }
     });
     
   } catch (error) {
@@ -416,4 +647,1157 @@ router.put('/password', authMiddleware, async (req, res) => {
   }
 });
 
+// ============ 接口7：验证码登录（免密码） ============
+// 请求方式: POST
+// 请求地址: /api/user/login-by-code
+// 请求体: { phone: "13812345678", code: "123456" }
+// 说明：已注册的手机号直接登录；未注册的手机号自动注册后登录
+//       返回数据与 /login 一致，额外的 isNewUser 表示是否为本次新注册
+
+router.post('/login-by-code', async (req, res) => {
+  try {
+    const { phone, code } = req.body;
+    
+    if (!phone || !code) {
+      return res.json({
+        code: 400,
+        message: '手机号和验证码都是必填项',
+        data: null
+      });
+    }
+    
+    const phoneRegex = /^1[3-9]\d{9}$/;
+    if (!phoneRegex.test(phone)) {
+      return res.json({
+        code: 400,
+        message: '请输入正确的手机号',
+        data: null
+      });
+    }
+    
+    // 查找用户：已注册的校验登录验证码，未注册的校验注册验证码
+    let user = await User.findOne({ phone });
+    const isNewUser = !user;
+    
+    // 验证短信验证码
+    const verifyResult = await verifySmsCode(
+      phone,
+      code,
+      isNewUser ? SMS_PURPOSES.REGISTER : SMS_PURPOSES.LOGIN
+    );
+    if (!verifyResult.success) {
+      return res.json({
+        code: 400,
+        message: verifyResult.message,
+        data: null
+      });
+    }
+    
+    // 通过短信验证即证明是本人，同时解除密码登录的锁定
+    await clearLoginFailures(phone);
+    
+    // 账号状态检查：被管理员停用的不能登录；注销冷静期中的可以登录，以便撤销注销
+    const block = user && getAccountBlock(user, { allowPendingDeletion: true });
+    if (block) {
+      return res.json({
+        code: block.code,
+        message: block.message,
+        data: { errorCode: block.errorCode }
+      });
+    }
+    
+    // 未注册则自动注册（默认密码：123456）
+    if (isNewUser) {
+      user = new User({
+        username: await generateUniqueUsername(),
+        phone,
+        password: User.DEFAULT_PASSWORD,
+        isDefaultPassword: true
+      });
+      await user.save();
+    }
+    
+    const session = await createSession(req, user);
+    
+    res.json({
+      code: 200,
+      message: isNewUser ? '注册成功' : '登录成功',
+      data: {
+        user: {
+          id: user._id,
+          username: user.username,
+          phone: user.phone,
+          mustSetPassword: await user.hasDefaultPassword()
+        },
+        token: session.token,
+        refreshToken: session.refreshToken,
+        expiresIn: session.expiresIn,
+        isNewUser: isNewUser
+      }
+    });
+    
+  } catch (error) {
+    console.error('验证码登录错误:', error);
+    
+    // 并发请求同时注册同一手机号时，唯一索引会拦截第二次插入
+    if (error.code === 11000) {
+      return res.json({
+        code: 400,
+        message: '该手机号已注册，请重新登录',
+        data: null
+      });
+    }
+    
+    res.json({
+      code: 500,
+      message: '登录失败: ' + error.message,
+      data: null
+    });
+  }
+});
+
+// ============ 接口8：找回密码 - 校验验证码 ============
+// 请求方式: POST
+// 请求地址: /api/user/password/reset-verify
+// 请求体: { phone: "13812345678", code: "123456" }
+// 说明：先调用 /send-code（purpose: "reset"）获取验证码
+//       验证通过后返回 10 分钟内有效的 resetTicket，用于下一步设置新密码
+
+router.post('/password/reset-verify', async (req, res) => {
+  try {
+    const { phone, code } = req.body;
+    
+    if (!phone || !code) {
+      return res.json({
+        code: 400,
+        message: '手机号和验证码都是必填项',
+        data: null
+      });
+    }
+    
+    // 只接受字符串，避免 { "$ne": null } 这样的查询条件被带进数据库查询
+    const phoneRegex = /^1[3-9]\d{9}$/;
+    if (typeof phone !== 'string' || !phoneRegex.test(phone)) {
+      return res.json({
+        code: 400,
+        message: '请输入正确的手机号',
+        data: null
+      });
+    }
+    if (typeof code !== 'string') {
+      return res.json({
+        code: 400,
+        message: '验证码格式错误',
+        data: null
+      });
+    }
+    
+    // 验证短信验证码
+    const verifyResult = await verifySmsCode(phone, code, SMS_PURPOSES.RESET);
+    if (!verifyResult.success) {
+      return res.json({
+        code: 400,
+        message: verifyResult.message,
+        data: null
+      });
+    }
+    
+    const user = await User.findOne({ phone });
+    if (!user) {
+      return res.json({
+        code: 404,
+        message: '用户不存在',
+        data: null
+      });
+    }
+    
+    // 签发重置凭证
+    // 凭证里带上当前 tokenVersion，密码重置后版本号变化，凭证随之失效（只能用一次）
+    const resetTicket = jwt.sign(
+      {
+        userId: user._id,
+        purpose: RESET_TICKET_PURPOSE,
+        tokenVersion: user.tokenVersion || 0
+      },
+      req.app.get('JWT_SECRET'),
+      { expiresIn: RESET_TICKET_EXPIRES_IN }
+    );
+    
+    res.json({
+      code: 200,
+      message: '验证成功，请设置新密码',
+      data: {
+        resetTicket: resetTicket
+      }
+    });
+    
+  } catch (error) {
+    console.error('找回密码验证错误:', error);
+    res.json({
+      code: 500,
+      message: '验证失败: ' + error.message,
+      data: null
+    });
+  }
+});
+
+// ============ 接口9：找回密码 - 设置新密码 ============
+// 请求方式: POST
+// 请求地址: /api/user/password/reset
+// 请求体: { resetTicket: "xxx", newPassword: "新密码" }
+// 说明：重置成功后，之前签发的所有 token 和登录会话都会失效，返回新的 token
+
+router.post('/password/reset', async (req, res) => {
+  try {
+    const { resetTicket, newPassword } = req.body;
+    
+    if (!resetTicket || !newPassword) {
+      return res.json({
+        code: 400,
+        message: '重置凭证和新密码都是必填项',
+        data: null
+      });
+    }
+    
+    if (newPassword.length < 6) {
+      return res.json({
+        code: 400,
+        message: '新密码至少需要6个字符',
+        data: null
+      });
+    }
+    
+    // 校验重置凭证
+    let decoded;
+    try {
+      decoded = jwt.verify(resetTicket, req.app.get('JWT_SECRET'));
+    } catch (e) {
+      return res.json({
+        code: 400,
+        message: '重置凭证无效或已过期，请重新验证',
+        data: null
+      });
+    }
+    
+    if (decoded.purpose !== RESET_TICKET_PURPOSE) {
+      return res.json({
+        code: 400,
+        message: '重置凭证无效或已过期，请重新验证',
+        data: null
+      });
+    }
+    
+    const user = await User.findById(decoded.userId);
+    if (!user) {
+      return res.json({
+        code: 404,
+        message: '用户不存在',
+        data: null
+      });
+    }
+    
+    // 凭证已被使用过（或期间密码被修改过）
+    if ((decoded.tokenVersion || 0) !== (user.tokenVersion || 0)) {
+      return res.json({
+        code: 400,
+        message: '重置凭证已失效，请重新验证',
+        data: null
+      });
+    }
+    
+    // 账号状态检查：被管理员停用的不能登录；注销冷静期中的可以登录，以便撤销注销
+    const block = getAccountBlock(user, { allowPendingDeletion: true });
+    if (block) {
+      return res.json({
+        code: block.code,
+        message: block.message,
+        data: { errorCode: block.errorCode }
+      });
+    }
+    
+    // 更新密码，并让之前签发的所有 token 失效
+    user.password = newPassword;
+    user.isDefaultPassword = newPassword === User.DEFAULT_PASSWORD;
+    user.tokenVersion = (user.tokenVersion || 0) + 1;
+    await user.save();
+    invalidateUser(user._id);
+    await revokeAllSessions(user._id);
+    await clearLoginFailures(user.phone);
+    
+    const session = await createSession(req, user);
+    
+    res.json({
+      code: 200,
+      message: '密码重置成功',
+      data: {
+        user: {
+          id: user._id,
+          username: user.username,
+          phone: user.phone,
+          mustSetPassword: await user.hasDefaultPassword()
+        },
+        token: session.token,
+        refreshToken: session.refreshToken,
+        expiresIn: session.expiresIn
+      }
+    });
+    
+  } catch (error) {
+    console.error('重置密码错误:', error);
+    res.json({
+      code: 500,
+      message: '重置失败: ' + error.message,
+      data: null
+    });
+  }
+});
+
+// ============ 接口10：首次设置密码 ============
+// 请求方式: PUT
+// 请求地址: /api/user/initial-password
+// 请求头: Authorization: Bearer <token>
+// 请求体: { newPassword: "新密码" }
+// 说明：短信注册的账号默认密码为 123456，用这个接口设置自己的密码，不需要旧密码
+//       只有 mustSetPassword 为 true 时可用，设置成功后再调用会被拒绝（之后请用 PUT /password）
+
+router.put('/initial-password', authMiddleware, async (req, res) => {
+  try {
+    const { newPassword } = req.body;
+    
+    if (!newPassword) {
+      return res.json({
+        code: 400,
+        message: '请输入新密码',
+        data: null
+      });
+    }
+    
+    if (newPassword.length < 6) {
+      return res.json({
+        code: 400,
+        message: '新密码至少需要6个字符',
+        data: null
+      });
+    }
+    
+    if (newPassword === User.DEFAULT_PASSWORD) {
+      return res.json({
+        code: 400,
+        message: '新密码不能与默认密码相同',
+        data: null
+      });
+    }
+    
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.json({
+        code: 404,
+        message: '用户不存在',
+        data: null
+      });
+    }
+    
+    // 只允许还在使用默认密码的账号调用
+    if (!(await user.hasDefaultPassword())) {
+      return res.json({
+        code: 400,
+        message: '密码已设置过，如需修改请使用修改密码功能',
+        data: null
+      });
+    }
+    
+    user.password = newPassword;
+    user.isDefaultPassword = false;
+    await user.save();
+    
+    res.json({
+      code: 200,
+      message: '密码设置成功',
+      data: null
+    });
+    
+  } catch (error) {
+    console.error('设置初始密码错误:', error);
+    res.json({
+      code: 500,
+      message: '设置失败: ' + error.message,
+      data: null
+    });
+  }
+});
+
+// ============ 接口11：刷新 token ============
+// 请求方式: POST
+// 请求地址: /api/user/refresh-token
+// 请求体: { refreshToken: "xxx" }
+// 说明：每次刷新都会返回新的 refreshToken，旧的立即作废，前端需要保存新的
+
+router.post('/refresh-token', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    
+    if (!refreshToken) {
+      return res.json({
+        code: 400,
+        message: '缺少 refreshToken',
+        data: null
+      });
+    }
+    
+    const result = await refreshSession(req, refreshToken);
+    
+    if (!result.success) {
+      return res.json({
+        code: 401,
+        message: result.message,
+        data: result.errorCode ? { errorCode: result.errorCode } : null
+      });
+    }
+    
+    res.json({
+      code: 200,
+      message: result.message,
+      data: result.data
+    });
+    
+  } catch (error) {
+    console.error('刷新 token 错误:', error);
+    res.json({
+      code: 500,
+      message: '刷新失败: ' + error.message,
+      data: null
+    });
+  }
+});
+
+// ============ 接口12：退出登录（当前设备） ============
+// 请求方式: POST
+// 请求地址: /api/user/logout
+// 请求头: Authorization: Bearer <token>
+
+router.post('/logout', authMiddleware.allowPendingDeletion, async (req, res) => {
+  try {
+    if (req.user.sessionId) {
+      await revokeSession(req.user.userId, req.user.sessionId);
+    }
+    
+    res.json({
+      code: 200,
+      message: '已退出登录',
+      data: null
+    });
+    
+  } catch (error) {
+    console.error('退出登录错误:', error);
+    res.json({
+      code: 500,
+      message: '退出失败: ' + error.message,
+      data: null
+    });
+  }
+});
+
+// ============ 接口13：查看登录设备列表 ============
+// 请求方式: GET
+// 请求地址: /api/user/sessions
+// 请求头: Authorization: Bearer <token>
+// 返回：所有有效的登录会话，isCurrent 表示是否为当前设备
+
+router.get('/sessions', authMiddleware, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      userId: req.user.userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+    
+    res.json({
+      code: 200,
+      message: '获取成功',
+      data: {
+        sessions: sessions.map(s => ({
+          id: s._id,
+          device: {
+            name: s.device.name,
+            platform: s.device.platform,
+            userAgent: s.device.userAgent,
+            ip: s.device.ip
+          },
+          createdAt: s.createdAt,
+          lastUsedAt: s.lastUsedAt,
+          isCurrent: String(s._id) === String(req.user.sessionId)
+        }))
+      }
+    });
+    
+  } catch (error) {
+    console.error('获取登录设备错误:', error);
+    res.json({
+      code: 500,
+      message: '获取登录设备失败',
+      data: null
+    });
+  }
+});
+
+// ============ 接口14：踢下线某台设备 ============
+// 请求方式: DELETE
+// 请求地址: /api/user/sessions/:id
+// 请求头: Authorization: Bearer <token>
+
+router.delete('/sessions/:id', authMiddleware, async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.json({
+        code: 400,
+        message: '会话 ID 格式错误',
+        data: null
+      });
+    }
+    
+    const revoked = await revokeSession(req.user.userId, id);
+    if (!revoked) {
+      return res.json({
+        code: 404,
+        message: '登录设备不存在或已退出',
+        data: null
+      });
+    }
+    
+    res.json({
+      code: 200,
+      message: '已将该设备退出登录',
+      data: null
+    });
+    
+  } catch (error) {
+    console.error('注销登录设备错误:', error);
+    res.json({
+      code: 500,
+      message: '操作失败: ' + error.message,
+      data: null
+    });
+  }
+});
+
+// ============ 接口15：申请注销账号 ============
+// 请求方式: DELETE
+// 请求地址: /api/user
+// 请求头: Authorization: Bearer <token>
+// 请求体: { code: "123456" } 或 { password: "密码" }
+// 说明：code 为 /send-code（purpose: "delete-account"）发送的验证码，也可以用登录密码确认
+//       用密码确认时，密码错误次数和密码登录一起计算，次数过多时返回 429（同 /login）
+//       申请后进入冷静期，期间可以调用 /deletion/cancel 撤销
+//       冷静期结束后彻底删除账号和所有签到、每日记录、设置数据，所有登录凭证失效
+
+router.delete('/', authMiddleware, async (req, res) => {
+  try {
+    const { code, password } = req.body;
+    
+    if (!code && !password) {
+      return res.json({
+        code: 400,
+        message: '请输入验证码或密码确认身份',
+        data: null
+      });
+    }
+    
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.json({
+        code: 404,
+        message: '用户不存在',
+        data: null
+      });
+    }
+    
+    if (user.deletionScheduledAt) {
+      return res.json({
+        code: 400,
+        message: '已申请注销，请勿重复提交',
+        data: {
+          deletionScheduledAt: user.deletionScheduledAt
+        }
+      });
+    }
+    
+    // 校验身份：优先使用验证码
+    if (code) {
+      const verifyResult = await verifySmsCode(user.phone, code, SMS_PURPOSES.DELETE_ACCOUNT);
+      if (!verifyResult.success) {
+        return res.json({
+          code: 400,
+          message: verifyResult.message,
+          data: null
+        });
+      }
+    } else {
+      const failure = await verifyPasswordWithGuard(req, user, password);
+      if (failure) {
+        return res.json(failure);
+      }
+    }
+    
+    const deletionScheduledAt = await requestAccountDeletion(user);
+    
+    res.json({
+      code: 200,
+      message: `已申请注销，账号将在 ${DELETION_GRACE_DAYS} 天后彻底删除，期间可随时撤销`,
+      data: {
+        deletionScheduledAt: deletionScheduledAt
+      }
+    });
+    
+  } catch (error) {
+    console.error('申请注销错误:', error);
+    res.json({
+      code: 500,
+      message: '申请注销失败: ' + error.message,
+      data: null
+    });
+  }
+});
+
+// ============ 接口16：撤销注销申请 ============
+// 请求方式: POST
+// 请求地址: /api/user/deletion/cancel
+// 请求头: Authorization: Bearer <token>
+
+router.post('/deletion/cancel', authMiddleware.allowPendingDeletion, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.json({
+        code: 404,
+        message: '用户不存在',
+        data: null
+      });
+    }
+    
+    if (!user.deletionScheduledAt) {
+      return res.json({
+        code: 400,
+        message: '没有进行中的注销申请',
+        data: null
+      });
+    }
+    
+    await cancelAccountDeletion(user);
+    
+    res.json({
+      code: 200,
+      message: '已撤销注销申请',
+      data: null
+    });
+    
+  } catch (error) {
+    console.error('撤销注销错误:', error);
+    res.json({
+      code: 500,
+      message: '撤销失败: ' + error.message,
+      data: null
+    });
+  }
+});
+
+// ============ 接口17：导出个人数据 ============
+// 请求方式: GET
+// 请求地址: /api/user/export?format=json
+// 请求头: Authorization: Bearer <token>
+// 说明：format 可选
+//       - json（默认）：完整归档，包含用户资料、全部签到、全部每日记录和用户设置，可用于导入恢复
+//       - csv：按日期合并签到和交易计划/感悟，每天一行，可直接用 Excel 打开
+//       返回的是文件下载（Content-Disposition: attachment），数据边读边写，不会一次性加载到内存
+
+router.get('/export', authMiddleware.allowPendingDeletion, async (req, res) => {
+  try {
+    const format = (req.query.format || 'json').toLowerCase();
+    
+    if (!['json', 'csv'].includes(format)) {
+      return res.json({
+        code: 400,
+        message: '导出格式只能是 json 或 csv',
+        data: null
+      });
+    }
+    
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.json({
+        code: 404,
+        message: '用户不存在',
+        data: null
+      });
+    }
+    
+    if (format === 'csv') {
+      await streamCsvExport(res, user);
+    } else {
+      await streamJsonExport(res, user);
+    }
+    
+  } catch (error) {
+    console.error('导出数据错误:', error);
+    
+    // 已经开始写文件时无法再返回 JSON，只能中断连接，让客户端知道下载不完整
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    
+    res.json({
+      code: 500,
+      message: '导出失败: ' + error.message,
+      data: null
+    });
+  }
+});
+
+// ============ 接口18：导入数据 ============
+// 请求方式: POST
+// 请求地址: /api/user/import?policy=skip&dryRun=true
+// 请求头: Authorization: Bearer <token>
+// 请求体: /api/user/export 导出的 JSON 归档（原样上传）
+// 说明：签到和每日记录按日期合并到当前账号，同一天已有记录时按 policy 处理：
+//       - skip（默认）：保留当前账号的记录
+//       - overwrite：用归档里的记录覆盖
+//       - keep-newer：比较更新时间，保留较新的一份
+//       已经过了修改时间的签到不会被覆盖（计入跳过）
+//       dryRun=true 时只返回会发生的变化（新增/更新/跳过的数量），不修改任何数据
+
+router.post('/import', authMiddleware, async (req, res) => {
+  try {
+    const policy = req.query.policy || 'skip';
+    const dryRun = req.query.dryRun === 'true' || req.query.dryRun === '1';
+    
+    if (!IMPORT_POLICIES.includes(policy)) {
+      return res.json({
+        code: 400,
+        message: '冲突策略只能是 skip、overwrite 或 keep-newer',
+        data: null
+      });
+    }
+    
+    const validation = validateArchive(req.body);
+    if (!validation.valid) {
+      return res.json({
+        code: 400,
+        message: validation.message,
+        data: null
+      });
+    }
+    
+    const report = await importArchive(req.user.userId, req.body, {
+      policy,
+      dryRun,
+      timezone: req.user.timezone
+    });
+    
+    res.json({
+      code: 200,
+      message: dryRun ? '预览完成，未修改任何数据' : '导入成功',
+      data: report
+    });
+    
+  } catch (error) {
+    console.error('导入数据错误:', error);
+    res.json({
+      code: 500,
+      message: '导入失败: ' + error.message,
+      data: null
+    });
+  }
+});
+
+// ============ 接口19：更换手机号 - 验证原手机号 ============
+// 请求方式: POST
+// 请求地址: /api/user/phone/verify-old
+// 请求头: Authorization: Bearer <token>
+// 请求体: { code: "123456" } 或 { password: "密码" }
+// 说明：code 为发送到原手机号的验证码（/send-code，purpose: "change-phone"），也可以用登录密码
+//       验证通过后返回 10 分钟内有效的 phoneChangeTicket，用于下一步更换
+//       用密码确认时，密码错误次数和密码登录一起计算，次数过多时返回 429（同 /login）
+
+router.post('/phone/verify-old', authMiddleware, async (req, res) => {
+  try {
+    const { code, password } = req.body;
+    
+    if (!code && !password) {
+      return res.json({
+        code: 400,
+        message: '请输入原手机号验证码或密码',
+        data: null
+      });
+    }
+    
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.json({
+        code: 404,
+        message: '用户不存在',
+        data: null
+      });
+    }
+    
+    if (code) {
+      const verifyResult = await verifySmsCode(user.phone, code, SMS_PURPOSES.CHANGE_PHONE);
+      if (!verifyResult.success) {
+        return res.json({
+          code: 400,
+          message: verifyResult.message,
+          data: null
+        });
+      }
+    } else {
+      const failure = await verifyPasswordWithGuard(req, user, password);
+      if (failure) {
+        return res.json(failure);
+      }
+    }
+    
+    // 凭证绑定原手机号，更换成功后手机号变化，凭证随之失效（只能用一次）
+    const phoneChangeTicket = jwt.sign(
+      {
+        userId: user._id,
+        purpose: PHONE_CHANGE_TICKET_PURPOSE,
+        phone: user.phone
+      },
+      req.app.get('JWT_SECRET'),
+      { expiresIn: PHONE_CHANGE_TICKET_EXPIRES_IN }
+    );
+    
+    res.json({
+      code: 200,
+      message: '验证成功，请验证新手机号',
+      data: {
+        phoneChangeTicket: phoneChangeTicket
+      }
+    });
+    
+  } catch (error) {
+    console.error('验证原手机号错误:', error);
+    res.json({
+      code: 500,
+      message: '验证失败: ' + error.message,
+      data: null
+    });
+  }
+});
+
+// ============ 接口20：更换手机号 - 完成更换 ============
+// 请求方式: PUT
+// 请求地址: /api/user/phone
+// 请求头: Authorization: Bearer <token>
+// 请求体: { phoneChangeTicket: "xxx", newPhone: "13900000000", code: "123456" }
+// 说明：code 为发送到新手机号的验证码（/send-code，purpose: "change-phone"）
+//       更换成功后所有设备退出登录，当前设备返回新的 token / refreshToken
+
+router.put('/phone', authMiddleware, async (req, res) => {
+  try {
+    const { phoneChangeTicket, newPhone, code } = req.body;
+    
+    if (!phoneChangeTicket || !newPhone || !code) {
+      return res.json({
+        code: 400,
+        message: '更换凭证、新手机号和验证码都是必填项',
+        data: null
+      });
+    }
+    
+    const phoneRegex = /^1[3-9]\d{9}$/;
+    if (!phoneRegex.test(newPhone)) {
+      return res.json({
+        code: 400,
+        message: '请输入正确的手机号',
+        data: null
+      });
+    }
+    
+    // 校验更换凭证
+    let decoded;
+    try {
+      decoded = jwt.verify(phoneChangeTicket, req.app.get('JWT_SECRET'));
+    } catch (e) {
+      decoded = null;
+    }
+    
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.json({
+        code: 404,
+        message: '用户不存在',
+        data: null
+      });
+    }
+    
+    if (!decoded ||
+        decoded.purpose !== PHONE_CHANGE_TICKET_PURPOSE ||
+        String(decoded.userId) !== String(user._id) ||
+        decoded.phone !== user.phone) {
+      return res.json({
+        code: 400,
+        message: '更换凭证无效或已过期，请重新验证原手机号',
+        data: null
+      });
+    }
+    
+    if (newPhone === user.phone) {
+      return res.json({
+        code: 400,
+        message: '新手机号不能与原手机号相同',
+        data: null
+      });
+    }
+    
+    // 先检查新手机号是否已被占用，避免白白消耗验证码
+    const existingPhone = await User.findOne({ phone: newPhone }).select('_id');
+    if (existingPhone) {
+      return res.json({
+        code: 400,
+        message: '该手机号已被其他账号使用',
+        data: null
+      });
+    }
+    
+    const verifyResult = await verifySmsCode(newPhone, code, SMS_PURPOSES.CHANGE_PHONE);
+    if (!verifyResult.success) {
+      return res.json({
+        code: 400,
+        message: verifyResult.message,
+        data: null
+      });
+    }
+    
+    // 原子更新：只有手机号仍是原手机号时才更新，同时让之前签发的所有 token 失效
+    // 并发情况下新手机号被抢先注册，会被唯一索引拦截（11000）
+    const oldPhone = user.phone;
+    const updated = await User.findOneAndUpdate(
+      { _id: user._id, phone: oldPhone },
+      { $set: { phone: newPhone }, $inc: { tokenVersion: 1 } },
+      { new: true, runValidators: true }
+    );
+    
+    if (!updated) {
+      return res.json({
+        code: 400,
+        message: '手机号已变更，请重新验证',
+        data: null
+      });
+    }
+    
+    // 所有设备退出登录，当前设备重新登录
+    invalidateUser(updated._id);
+    await revokeAllSessions(updated._id);
+    await clearLoginFailures(oldPhone);
+    const session = await createSession(req, updated);
+    
+    res.json({
+      code: 200,
+      message: '手机号更换成功',
+      data: {
+        user: {
+          id: updated._id,
+          username: updated.username,
+          phone: updated.phone,
+          mustSetPassword: await updated.hasDefaultPassword()
+        },
+        token: session.token,
+        refreshToken: session.refreshToken,
+        expiresIn: session.expiresIn
+      }
+    });
+    
+  } catch (error) {
+    console.error('更换手机号错误:', error);
+    
+    if (error.code === 11000) {
+      return res.json({
+        code: 400,
+        message: '该手机号已被其他账号使用',
+        data: null
+      });
+    }
+    
+    res.json({
+      code: 500,
+      message: '更换失败: ' + error.message,
+      data: null
+    });
+  }
+});
+
+// ============ 接口21：修改用户资料 ============
+// 请求方式: PUT
+// 请求地址: /api/user/profile
+// 请求头: Authorization: Bearer <token>
+// 请求体: { timezone: "Asia/Shanghai", markets: ["a-share", "hk"], tradingStyle: "dip", yearsOfExperience: 3 }
+// 说明：只修改传了的字段，传 null 表示清空；可选值见 utils/profile.js
+//       markets: a-share(A股) / hk(港股) / us(美股) / futures(期货)
+//       tradingStyle: limit-up(打板) / dip(低吸) / trend(趋势) / swing(波段)
+
+router.put('/profile', authMiddleware, async (req, res) => {
+  try {
+    const result = buildProfileUpdate(req.body || {});
+    if (result.error) {
+      return res.json({
+        code: 400,
+        message: result.error,
+        data: null
+      });
+    }
+    
+    const user = await User.findByIdAndUpdate(
+      req.user.userId,
+      { $set: result.update },
+      { new: true, runValidators: true }
+    );
+    
+    if (!user) {
+      return res.json({
+        code: 404,
+        message: '用户不存在',
+        data: null
+      });
+    }
+    
+    // 时区可能变了，清除认证缓存让 req.user.timezone 立即生效
+    invalidateUser(user._id);
+    
+    res.json({
+      code: 200,
+      message: '资料已更新',
+      data: {
+        profile: formatProfile(user)
+      }
+    });
+    
+  } catch (error) {
+    console.error('修改用户资料错误:', error);
+    res.json({
+      code: 500,
+      message: '修改失败: ' + error.message,
+      data: null
+    });
+  }
+});
+
+// ============ 接口22：上传头像 ============
+// 请求方式: PUT
+// 请求地址: /api/user/profile/avatar
+// 请求头: Authorization: Bearer <token>，Content-Type: image/png（或 image/jpeg、image/webp）
+// 请求体: 图片文件的二进制内容（不是 JSON），大小不超过 AVATAR_MAX_KB
+// 说明：上传成功后旧头像会被删除，返回新的头像地址
+
+// 头像图片的请求体解析：超出大小等错误也按统一格式返回
+const avatarBodyParser = express.raw({ type: 'image/*', limit: AVATAR_MAX_BYTES });
+const parseAvatarBody = (req, res, next) => {
+  avatarBodyParser(req, res, (error) => {
+    if (error) {
+      return res.json({
+        code: 400,
+        message: error.type === 'entity.too.large'
+          ? `头像图片不能超过 ${Math.floor(AVATAR_MAX_BYTES / 1024)}KB`
+          : '图片读取失败，请重新上传',
+        data: null
+      });
+    }
+    next();
+  });
+};
+
+router.put('/profile/avatar', authMiddleware, parseAvatarBody, async (req, res) => {
+  try {
+    const ext = detectImageType(req.body);
+    if (!ext) {
+      return res.json({
+        code: 400,
+        message: '请上传 PNG、JPG 或 WEBP 格式的图片',
+        data: null
+      });
+    }
+    
+    const storage = getAvatarStorage();
+    const key = await storage.save(req.body, { userId: req.user.userId, ext });
+    
+    // 返回更新前的文档，用来删除旧头像
+    const previous = await User.findByIdAndUpdate(
+      req.user.userId,
+      { $set: { 'profile.avatar': key } }
+    ).select('profile');
+    
+    if (!previous) {
+      await storage.remove(key);
+      return res.json({
+        code: 404,
+        message: '用户不存在',
+        data: null
+      });
+    }
+    
+    const oldKey = previous.profile && previous.profile.avatar;
+    if (oldKey) {
+      // 旧头像删除失败不影响上传结果
+      storage.remove(oldKey).catch(error => console.error('删除旧头像失败:', error));
+    }
+    
+    res.json({
+      code: 200,
+      message: '头像已更新',
+      data: {
+        avatarUrl: storage.getUrl(key)
+      }
+    });
+    
+  } catch (error) {
+    console.error('上传头像错误:', error);
+    res.json({
+      code: 500,
+      message: '上传失败: ' + error.message,
+      data: null
+    });
+  }
+});
+
+// ============ 接口23：删除头像 ============
+// 请求方式: DELETE
+// 请求地址: /api/user/profile/avatar
+// 请求头: Authorization: Bearer <token>
+
+router.delete('/profile/avatar', authMiddleware, async (req, res) => {
+  try {
+    const previous = await User.findByIdAndUpdate(
+      req.user.userId,
+      { $set: { 'profile.avatar': null } }
+    ).select('profile');
+    
+    if (!previous) {
+      return res.json({
+        code: 404,
+        message: '用户不存在',
+        data: null
+      });
+    }
+    
+    const oldKey = previous.profile && previous.profile.avatar;
+    if (oldKey) {
+      await getAvatarStorage().remove(oldKey);
+    }
+    
+    res.json({
+      code: 200,
+      message: '头像已删除',
+      data: null
+    });
+    
+  } catch (error) {
+    console.error('删除头像错误:', error);
+    res.json({
+      code: 500,
+      message: '删除失败: ' + error.message,
+      data: null
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,220 @@
+/**
+ * ========================================
+ * 违规类型路由
+ * ========================================
+ * "手欠"签到可以标记违反了哪些交易纪律，这个文件处理：
+ * 1. GET    /api/violations/categories      - 获取可选的违规类型（系统类型 + 自定义类型）
+ * 2. POST   /api/violations/categories      - 添加自定义违规类型
+ * 3. DELETE /api/violations/categories/:id  - 删除自定义违规类型
+ * 4. GET    /api/violations/breakdown       - 按违规类型统计某段时间的手欠签到
+ *
+ * 所有接口都需要用户登录（携带 token）
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const ViolationCategory = require('../models/ViolationCategory');
+const authMiddleware = require('../middleware/auth');
+const { getToday, addDays, isValidDateString } = require('../utils/localDate');
+const {
+  VIOLATION_SEVERITY_LABELS,
+  MAX_CUSTOM_CATEGORIES,
+  formatCategory,
+  getAvailableCategories,
+  getViolationBreakdown
+} = require('../utils/violations');
+
+const router = express.Router();
+
+router.use(authMiddleware);
+
+// ============ 接口1：获取可选的违规类型 ============
+// 请求方式: GET
+// 请求地址: /api/violations/categories
+
+router.get('/categories', async (req, res) => {
+  try {
+    const categories = await getAvailableCategories(req.user.userId);
+    
+    res.json({
+      code: 200,
+      message: '获取成功',
+      data: {
+        categories: categories.map(formatCategory),
+        severities: VIOLATION_SEVERITY_LABELS
+      }
+    });
+    
+  } catch (error) {
+    console.error('获取违规类型失败:', error);
+    res.json({
+      code: 500,
+      message: '获取违规类型失败',
+      data: null
+    });
+  }
+});
+
+// ============ 接口2：添加自定义违规类型 ============
+// 请求方式: POST
+// 请求地址: /api/violations/categories
+// 请求体: { name: "尾盘抢筹", description: "" }
+
+router.post('/categories', async (req, res) => {
+  try {
+    const { name, description } = req.body;
+    
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      return res.json({
+        code: 400,
+        message: '类型名称不能为空',
+        data: null
+      });
+    }
+    
+    if (name.trim().length > 20) {
+      return res.json({
+        code: 400,
+        message: '类型名称最多 20 个字符',
+        data: null
+      });
+    }
+    
+    const available = await getAvailableCategories(req.user.userId);
+    
+    if (available.some(c => c.name === name.trim())) {
+      return res.json({
+        code: 400,
+        message: '已经有同名的违规类型',
+        data: null
+      });
+    }
+    
+    if (available.filter(c => c.userId).length >= MAX_CUSTOM_CATEGORIES) {
+      return res.json({
+        code: 400,
+        message: `最多只能添加 ${MAX_CUSTOM_CATEGORIES} 个自定义类型`,
+        data: null
+      });
+    }
+    
+    const category = await ViolationCategory.create({
+      key: `custom-${new mongoose.Types.ObjectId()}`,
+      name: name.trim(),
+      description: typeof description === 'string' ? description.trim() : '',
+      userId: req.user.userId
+    });
+    
+    res.json({
+      code: 200,
+      message: '添加成功',
+      data: {
+        category: formatCategory(category)
+      }
+    });
+    
+  } catch (error) {
+    console.error('添加违规类型失败:', error);
+    res.json({
+      code: 500,
+      message: '添加失败: ' + error.message,
+      data: null
+    });
+  }
+});
+
+// ============ 接口3：删除自定义违规类型 ============
+// 请求方式: DELETE
+// 请求地址: /api/violations/categories/:id
+// 说明：只能删除自己添加的类型；已经用过这个类型的签到不受影响，统计时仍然显示名称
+
+router.delete('/categories/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.json({
+        code: 400,
+        message: '类型 ID 格式错误',
+        data: null
+      });
+    }
+    
+    const result = await ViolationCategory.updateOne(
+      { _id: id, userId: req.user.userId, isActive: true },
+      { $set: { isActive: false } }
+    );
+    
+    if (result.matchedCount === 0) {
+      return res.json({
+        code: 404,
+        message: '违规类型不存在',
+        data: null
+      });
+    }
+    
+    res.json({
+      code: 200,
+      message: '删除成功',
+      data: null
+    });
+    
+  } catch (error) {
+    console.error('删除违规类型失败:', error);
+    res.json({
+      code: 500,
+      message: '删除失败: ' + error.message,
+      data: null
+    });
+  }
+});
+
+// ============ 接口4：按违规类型统计 ============
+// 请求方式: GET
+// 请求地址: /api/violations/breakdown?from=2024-01-01&to=2024-01-31
+// 说明：from / to 都可以不传，默认统计最近 30 天（含今天）
+// 返回：区间内手欠签到数量、没有填写违规类型的数量，以及每个违规类型的次数（按次数从多到少）
+
+router.get('/breakdown', async (req, res) => {
+  try {
+    const today = getToday(req.user.timezone);
+    const to = req.query.to || today;
+    
+    // 先校验日期再计算默认的开始日期（addDays 遇到不合法的日期会出错）
+    if (!isValidDateString(to) || (req.query.from && !isValidDateString(req.query.from))) {
+      return res.json({
+        code: 400,
+        message: '日期格式错误，应为 YYYY-MM-DD',
+        data: null
+      });
+    }
+    
+    const from = req.query.from || addDays(to, -29);
+    
+    if (from > to) {
+      return res.json({
+        code: 400,
+        message: '开始日期不能晚于结束日期',
+        data: null
+      });
+    }
+    
+    const breakdown = await getViolationBreakdown(req.user.userId, from, to);
+    
+    res.json({
+      code: 200,
+      message: '获取成功',
+      data: breakdown
+    });
+    
+  } catch (error) {
+    console.error('获取违规统计失败:', error);
+    res.json({
+      code: 500,
+      message: '获取违规统计失败',
+      data: null
+    });
+  }
+});
+
+module.exports = router;
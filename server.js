@@ -41,14 +41,25 @@ app.set('JWT_SECRET', JWT_SECRET);
 
 // ============ 中间件配置 ============
 
+// Render 等云平台通过反向代理转发请求，信任第一层代理才能拿到用户真实 IP（req.ip）
+app.set('trust proxy', 1);
+
 // 允许所有来源的跨域请求（前端 Flutter 可以访问）
 app.use(cors());
 
 // 解析请求体中的 JSON 数据
+// 数据导入接口需要上传完整的数据归档，单独放宽请求体大小限制（必须注册在通用解析之前）
+app.use('/api/user/import', express.json({ limit: process.env.IMPORT_BODY_LIMIT || '20mb' }));
 app.use(express.json());
 
 // ============ 注册路由 ============
 
+// 用户头像图片访问（本地存储时由这里提供静态文件，见 utils/avatarStorage）
+const avatarStorage = require('./utils/avatarStorage').getAvatarStorage();
+if (avatarStorage.mount) {
+  avatarStorage.mount(app);
+}
+
 // 用户相关接口（注册、登录）
 app.use('/api/user', require('./routes/user'));
 
@@ -61,6 +72,15 @@ app.use('/api/settings', require('./routes/settings'));
 // 每日记录接口（交易计划、交易感悟）
 app.use('/api/daily', require('./routes/daily'));
 
+// 违规类型接口（手欠签到的违规分类、统计）
+app.use('/api/violations', require('./routes/violations'));
+
+// 成就接口（成就徽章和进度）
+app.use('/api/achievements', require('./routes/achievements'));
+
+// 管理后台接口（需要管理员角色）
+app.use('/api/admin', require('./routes/admin'));
+
 // 根路由 - 用来测试服务器是否正常运行
 app.get('/', (req, res) => {
   res.json({
@@ -85,6 +105,14 @@ mongoose.connect(MONGODB_URI)
     app.listen(PORT, '0.0.0.0', () => {
       console.log(`✅ 服务器已启动，端口: ${PORT}`);
     });
+    
+    // 定时删除冷静期已结束的注销账号
+    require('./utils/accountDeletion').startAccountPurgeJob();
+    
+    // 同步系统违规类型（data/violation-categories.json）
+    require('./utils/violations').seedSystemCategories().catch((error) => {
+      console.error('❌ 同步违规类型失败:', error.message);
+    });
   })
   .catch((error) => {
     console.error('❌ MongoDB 连接失败:', error.message);
@@ -0,0 +1,151 @@
+/**
+ * ========================================
+ * 账号注销工具
+ * ========================================
+ * 用户申请注销后进入冷静期（默认 7 天），期间可以撤销
+ * 冷静期结束后，由定时任务彻底删除该用户的所有数据：
+ * 所有以 userId 关联的集合 + 登录会话 + 验证码/登录失败记录 + 用户本身
+ *
+ * 以后新增了以 userId 关联的集合，需要加到 USER_DATA_MODELS 里
+ */
+
+const User = require('../models/User');
+const CheckIn = require('../models/CheckIn');
+const CheckInHistory = require('../models/CheckInHistory');
+const DailyRecord = require('../models/DailyRecord');
+const UserSettings = require('../models/UserSettings');
+const ViolationCategory = require('../models/ViolationCategory');
+const UserAchievement = require('../models/UserAchievement');
+const Session = require('../models/Session');
+const VerificationCode = require('../models/VerificationCode');
+const LoginAttempt = require('../models/LoginAttempt');
+const { ACCOUNT_STATUS } = require('./accountStatus');
+const { invalidateUser, invalidateUserSessions } = require('./authCache');
+const { getAvatarStorage } = require('./avatarStorage');
+
+// 冷静期天数
+const DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 7;
+
+// 定时检查间隔（毫秒）
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+// 所有以 userId 关联用户的集合
+// 登录会话放在最前面：先删会话，所有 token 立即失效
+const USER_DATA_MODELS = [
+  Session,
+  CheckIn,
+  CheckInHistory,
+  DailyRecord,
+  UserSettings,
+  ViolationCategory,
+  UserAchievement
+];
+
+/**
+ * 申请注销：进入冷静期，账号状态改为 pending-deletion
+ * 已被停用的账号保持停用状态，到期后照常删除
+ * @returns {Promise<Date>} 计划删除的时间
+ */
+async function requestAccountDeletion(user) {
+  const now = new Date();
+  user.deletionRequestedAt = now;
+  user.deletionScheduledAt = new Date(now.getTime() + DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+  if (user.status !== ACCOUNT_STATUS.DISABLED) {
+    user.status = ACCOUNT_STATUS.PENDING_DELETION;
+  }
+  await user.save();
+  invalidateUser(user._id);
+  return user.deletionScheduledAt;
+}
+
+/**
+ * 撤销注销申请
+ */
+async function cancelAccountDeletion(user) {
+  user.deletionRequestedAt = null;
+  user.deletionScheduledAt = null;
+  if (user.status === ACCOUNT_STATUS.PENDING_DELETION) {
+    user.status = ACCOUNT_STATUS.ACTIVE;
+  }
+  await user.save();
+  invalidateUser(user._id);
+}
+
+/**
+ * 彻底删除一个用户的所有数据
+ * 先删除登录会话（所有 token 立即失效），再删业务数据和头像图片，最后删除用户本身
+ */
+async function purgeUser(user) {
+  for (const Model of USER_DATA_MODELS) {
+    await Model.deleteMany({ userId: user._id });
+  }
+  
+  if (user.profile && user.profile.avatar) {
+    await getAvatarStorage().remove(user.profile.avatar);
+  }
+  
+  await VerificationCode.deleteMany({ phone: user.phone });
+  await LoginAttempt.deleteOne({ key: `phone:${user.phone}` });
+  await User.deleteOne({ _id: user._id });
+  invalidateUser(user._id);
+  invalidateUserSessions(user._id);
+  
+  console.log(`[账号注销] 已删除用户 ${user._id} 的全部数据`);
+}
+
+/**
+ * 删除所有冷静期已结束的账号
+ * @returns {Promise<number>} 删除的账号数量
+ */
+async function purgeDueAccounts() {
+  const now = new Date();
+  const dueUsers = await User.find({ deletionScheduledAt: { $ne: null, $lte: now } }).select('_id').lean();
+  
+  let purged = 0;
+  for (const { _id } of dueUsers) {
+    try {
+      // 删除前重新确认并锁定账号：查询之后用户可能撤销了注销
+      // 锁定后账号停用，不能再登录或撤销；删除失败时下次定时任务仍然能选中
+      const user = await User.findOneAndUpdate(
+        { _id, deletionScheduledAt: { $ne: null, $lte: now } },
+        { $set: { status: ACCOUNT_STATUS.DISABLED } },
+        { new: true }
+      );
+      if (!user) {
+        continue;
+      }
+      invalidateUser(_id);
+      
+      await purgeUser(user);
+      purged++;
+    } catch (error) {
+      // 单个用户失败不影响其他用户，下次定时任务会重试
+      console.error(`[账号注销] 删除用户 ${_id} 失败:`, error);
+    }
+  }
+  return purged;
+}
+
+/**
+ * 启动定时任务：每小时检查一次冷静期已结束的账号
+ */
+function startAccountPurgeJob() {
+  const run = () => {
+    purgeDueAccounts().catch(error => console.error('[账号注销] 定时任务出错:', error));
+  };
+  
+  run();
+  const timer = setInterval(run, PURGE_INTERVAL_MS);
+  // 不阻止进程退出
+  timer.unref();
+}
+
+module.exports = {
+  DELETION_GRACE_DAYS,
+  USER_DATA_MODELS,
+  requestAccountDeletion,
+  cancelAccountDeletion,
+  purgeUser,
+  purgeDueAccounts,
+  startAccountPurgeJob
+};
@@ -0,0 +1,51 @@
+/**
+ * ========================================
+ * 账号状态工具
+ * ========================================
+ * 统一定义账号状态，以及各状态下是否允许登录/使用
+ * - active：正常
+ * - disabled：被管理员停用，不能登录，已签发的凭证全部失效
+ * - pending-deletion：已申请注销、处于冷静期，可以登录，但只能访问查看信息、撤销注销等少数接口
+ */
+
+const ACCOUNT_STATUS = {
+  ACTIVE: 'active',
+  DISABLED: 'disabled',
+  PENDING_DELETION: 'pending-deletion'
+};
+
+// 账号状态导致被拦截时返回的错误码
+const ACCOUNT_STATUS_ERRORS = {
+  DISABLED: 'ACCOUNT_DISABLED',
+  PENDING_DELETION: 'ACCOUNT_PENDING_DELETION'
+};
+
+/**
+ * 检查账号当前状态是否允许使用
+ * @param {{status: string}} user
+ * @param {{allowPendingDeletion?: boolean}} [options] - 是否放行注销冷静期中的账号
+ * @returns {null|{code: number, errorCode: string, message: string}} 允许时返回 null
+ */
+function getAccountBlock(user, options = {}) {
+  if (user.status === ACCOUNT_STATUS.DISABLED) {
+    return {
+      code: 403,
+      errorCode: ACCOUNT_STATUS_ERRORS.DISABLED,
+      message: '账号已被停用，如有疑问请联系客服'
+    };
+  }
+  if (user.status === ACCOUNT_STATUS.PENDING_DELETION && !options.allowPendingDeletion) {
+    return {
+      code: 403,
+      errorCode: ACCOUNT_STATUS_ERRORS.PENDING_DELETION,
+      message: '账号正在注销中，如需继续使用请先撤销注销'
+    };
+  }
+  return null;
+}
+
+module.exports = {
+  ACCOUNT_STATUS,
+  ACCOUNT_STATUS_ERRORS,
+  getAccountBlock
+};
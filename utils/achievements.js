@@ -0,0 +1,215 @@
+/**
+ * ========================================
+ * 成就徽章
+ * ========================================
+ * 成就规则在 data/achievements.json 中配置（可以用 ACHIEVEMENTS_FILE 指定其他文件），每条规则：
+ * { key, name, description, metric, target }：metric 这项指标达到 target 时解锁
+ *
+ * 支持的指标（metric）：
+ * - checkIns：累计签到次数
+ * - longestStreak：历史最长连续签到的交易日数（补签不计入）
+ * - longestViolationFreeRun：历史最长连续完成签到的交易日数
+ * - cleanMonths：每个交易日都完成签到的自然月数（只算已经结束的月份）
+ * - reflections：写了交易感悟的每日记录数
+ *
+ * 签到、修改签到、保存交易感悟之后会检查一次（checkAchievements），
+ * 解锁的成就保存在 UserAchievement，带解锁时间
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const mongoose = require('mongoose');
+const DailyRecord = require('../models/DailyRecord');
+const UserAchievement = require('../models/UserAchievement');
+const { addDays, getToday, isValidDateString } = require('./localDate');
+const { getUserTradingCalendar } = require('./tradingCalendar');
+const { getCheckInDates, findLongestRun } = require('./checkInStats');
+
+const ACHIEVEMENT_METRICS = {
+  CHECK_INS: 'checkIns',
+  LONGEST_STREAK: 'longestStreak',
+  VIOLATION_FREE_RUN: 'longestViolationFreeRun',
+  CLEAN_MONTHS: 'cleanMonths',
+  REFLECTIONS: 'reflections'
+};
+
+// 成就配置文件
+const ACHIEVEMENTS_FILE = process.env.ACHIEVEMENTS_FILE
+  || path.join(__dirname, '..', 'data', 'achievements.json');
+
+// 配置文件只读取一次
+let catalogPromise = null;
+
+/**
+ * 读取成就规则，格式错误的规则跳过
+ * @returns {Promise<Array<{key: string, name: string, description: string, metric: string, target: number}>>}
+ */
+function getAchievementCatalog() {
+  if (!catalogPromise) {
+    catalogPromise = fs.readFile(ACHIEVEMENTS_FILE, 'utf8').then((content) => {
+      const metrics = Object.values(ACHIEVEMENT_METRICS);
+      return JSON.parse(content).filter((item) => {
+        const valid = item && typeof item.key === 'string' && typeof item.name === 'string'
+          && metrics.includes(item.metric) && Number.isInteger(item.target) && item.target > 0;
+        if (!valid) {
+          console.error('[成就] 规则格式错误，已跳过:', item);
+        }
+        return valid;
+      }).map(item => ({
+        key: item.key,
+        name: item.name,
+        description: item.description || '',
+        metric: item.metric,
+        target: item.target
+      }));
+    }).catch((error) => {
+      // 读取失败时下次重新读取
+      catalogPromise = null;
+      throw error;
+    });
+  }
+  return catalogPromise;
+}
+
+/**
+ * 下一个月，比如 2024-12 => 2025-01
+ */
+function nextMonth(month) {
+  return addDays(`${month}-01`, 32).slice(0, 7);
+}
+
+/**
+ * 每个交易日都完成签到的月份数（只算已经结束的月份，没有交易日的月份不算）
+ * @param {{all: string[], incomplete: Set<string>}} dates - getCheckInDates 的返回值（已去掉不合法的日期）
+ */
+function countCleanMonths(dates, calendar, today) {
+  // 从第一次签到的月份开始数，日期不合法时 nextMonth 会出错，不能从它开始
+  const firstDate = dates.all[0];
+  if (!isValidDateString(firstDate)) {
+    return 0;
+  }
+  
+  const completed = new Set(dates.all.filter(date => !dates.incomplete.has(date)));
+  const currentMonth = today.slice(0, 7);
+  let count = 0;
+  
+  for (let month = firstDate.slice(0, 7); month < currentMonth; month = nextMonth(month)) {
+    const monthEnd = addDays(`${nextMonth(month)}-01`, -1);
+    const tradingDays = calendar.listTradingDays(`${month}-01`, monthEnd);
+    if (tradingDays.length > 0 && tradingDays.every(date => completed.has(date))) {
+      count++;
+    }
+  }
+  return count;
+}
+
+/**
+ * 计算用户各项指标的当前值
+ * @returns {Promise<Object<string, number>>}
+ */
+async function computeMetrics(userId, timezone) {
+  const [dates, calendar, reflections] = await Promise.all([
+    getCheckInDates(userId),
+    getUserTradingCalendar(userId),
+    DailyRecord.countDocuments({ userId, reflection: { $nin: ['', null] } })
+  ]);
+  
+  return {
+    [ACHIEVEMENT_METRICS.CHECK_INS]: dates.all.length,
+    [ACHIEVEMENT_METRICS.LONGEST_STREAK]: findLongestRun(dates.all, dates.backfilled, calendar).days,
+    [ACHIEVEMENT_METRICS.VIOLATION_FREE_RUN]: findLongestRun(
+      dates.all.filter(date => !dates.incomplete.has(date)),
+      dates.backfilled,
+      calendar
+    ).days,
+    [ACHIEVEMENT_METRICS.CLEAN_MONTHS]: countCleanMonths(dates, calendar, getToday(timezone)),
+    [ACHIEVEMENT_METRICS.REFLECTIONS]: reflections
+  };
+}
+
+/**
+ * 成就 => 接口返回的格式
+ */
+function formatAchievement(rule, value, unlockedAt) {
+  // 已解锁的成就一直显示完成（之后撤销签到也不会收回）
+  const current = unlockedAt ? rule.target : Math.min(value, rule.target);
+  return {
+    key: rule.key,
+    name: rule.name,
+    description: rule.description,
+    earned: !!unlockedAt,
+    unlockedAt: unlockedAt || null,
+    progress: {
+      current,
+      target: rule.target,
+      percent: Math.floor((current / rule.target) * 100)
+    }
+  };
+}
+
+/**
+ * 检查用户的全部成就，达到条件但还没解锁的立即解锁
+ * @param {string} userId
+ * @param {string} [timezone] - 用户时区（判断月份是否已经结束）
+ * @returns {Promise<{achievements: Array, unlocked: Array}>} 全部成就（含进度），以及这次新解锁的成就
+ */
+async function evaluateAchievements(userId, timezone) {
+  const [catalog, metrics, earned] = await Promise.all([
+    getAchievementCatalog(),
+    computeMetrics(userId, timezone),
+    UserAchievement.find({ userId }).lean()
+  ]);
+  
+  const unlockedAt = new Map(earned.map(a => [a.key, a.unlockedAt]));
+  let newKeys = catalog
+    .filter(rule => !unlockedAt.has(rule.key) && metrics[rule.metric] >= rule.target)
+    .map(rule => rule.key);
+  
+  if (newKeys.length > 0) {
+    const now = new Date();
+    // 预先生成 _id，唯一索引冲突时用来区分哪些是这次写入的
+    const docs = newKeys.map(key => ({ _id: new mongoose.Types.ObjectId(), userId, key, unlockedAt: now }));
+    try {
+      await UserAchievement.insertMany(docs, { ordered: false });
+      newKeys.forEach(key => unlockedAt.set(key, now));
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+      // 同时有另一个请求在解锁同一个成就：重新读取，只把这次写入的算作新解锁
+      const ids = new Set(docs.map(d => String(d._id)));
+      const current = await UserAchievement.find({ userId, key: { $in: newKeys } }).lean();
+      current.forEach(a => unlockedAt.set(a.key, a.unlockedAt));
+      newKeys = current.filter(a => ids.has(String(a._id))).map(a => a.key);
+    }
+  }
+  
+  const achievements = catalog.map(rule => formatAchievement(rule, metrics[rule.metric], unlockedAt.get(rule.key)));
+  
+  return {
+    achievements,
+    unlocked: achievements.filter(a => newKeys.includes(a.key))
+  };
+}
+
+/**
+ * 保存签到、每日记录之后调用：检查有没有新解锁的成就
+ * 检查失败只记录日志，不影响签到本身
+ * @returns {Promise<Array>} 新解锁的成就
+ */
+async function checkAchievements(userId, timezone) {
+  try {
+    const { unlocked } = await evaluateAchievements(userId, timezone);
+    return unlocked;
+  } catch (error) {
+    console.error('[成就] 检查成就失败:', error);
+    return [];
+  }
+}
+
+module.exports = {
+  ACHIEVEMENT_METRICS,
+  getAchievementCatalog,
+  evaluateAchievements,
+  checkAchievements
+};
@@ -0,0 +1,122 @@
+/**
+ * ========================================
+ * 认证缓存
+ * ========================================
+ * authMiddleware 每个请求都要检查用户状态和登录会话，
+ * 这里在进程内短暂缓存查询结果（默认 30 秒），避免每个请求都查 MongoDB
+ *
+ * 本进程内修改了用户或会话时会立即清除对应缓存；
+ * 多实例部署时，其他实例最多延迟一个缓存周期感知到变化
+ */
+
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { normalizeTimezone } = require('./localDate');
+
+// 缓存有效期（毫秒）
+const CACHE_TTL_MS = (parseInt(process.env.AUTH_CACHE_TTL_SECONDS) || 30) * 1000;
+
+// 每类缓存最多保存的条数，超出后淘汰最早写入的
+const MAX_ENTRIES = 10000;
+
+const userCache = new Map();
+const sessionCache = new Map();
+
+function getCached(cache, key) {
+  const entry = cache.get(key);
+  if (!entry) {
+    return undefined;
+  }
+  if (entry.expireAt < Date.now()) {
+    cache.delete(key);
+    return undefined;
+  }
+  return entry.value;
+}
+
+function setCached(cache, key, value) {
+  if (cache.size >= MAX_ENTRIES) {
+    // Map 按插入顺序遍历，第一个就是最早写入的
+    cache.delete(cache.keys().next().value);
+  }
+  cache.set(key, { value, expireAt: Date.now() + CACHE_TTL_MS });
+}
+
+/**
+ * 获取认证需要的用户信息（带缓存）
+ * @returns {Promise<null|{tokenVersion: number, status: string, deletionScheduledAt: Date|null, timezone: string}>}
+ */
+async function getAuthUser(userId) {
+  const key = String(userId);
+  const cached = getCached(userCache, key);
+  if (cached !== undefined) {
+    return cached;
+  }
+  
+  const user = await User.findById(userId).select('tokenVersion status deletionScheduledAt profile.timezone').lean();
+  const value = user
+    ? {
+        tokenVersion: user.tokenVersion || 0,
+        status: user.status || 'active',
+        deletionScheduledAt: user.deletionScheduledAt || null,
+        timezone: normalizeTimezone(user.profile && user.profile.timezone)
+      }
+    : null;
+  
+  setCached(userCache, key, value);
+  return value;
+}
+
+/**
+ * 获取登录会话是否有效（带缓存）
+ * @returns {Promise<boolean>}
+ */
+async function isSessionActive(sessionId) {
+  const key = String(sessionId);
+  const cached = getCached(sessionCache, key);
+  if (cached !== undefined) {
+    return cached.userId !== undefined && !cached.revoked && cached.expiresAt > Date.now();
+  }
+  
+  const session = await Session.findById(sessionId).select('userId revokedAt expiresAt').lean();
+  const value = session
+    ? { userId: String(session.userId), revoked: !!session.revokedAt, expiresAt: session.expiresAt.getTime() }
+    : { revoked: true, expiresAt: 0 };
+  
+  setCached(sessionCache, key, value);
+  return value.userId !== undefined && !value.revoked && value.expiresAt > Date.now();
+}
+
+/**
+ * 清除某个用户的缓存（用户状态、token 版本、时区变化后调用）
+ */
+function invalidateUser(userId) {
+  userCache.delete(String(userId));
+}
+
+/**
+ * 清除某个会话的缓存
+ */
+function invalidateSession(sessionId) {
+  sessionCache.delete(String(sessionId));
+}
+
+/**
+ * 清除某个用户所有会话的缓存
+ */
+function invalidateUserSessions(userId) {
+  const id = String(userId);
+  for (const [key, entry] of sessionCache) {
+    if (entry.value.userId === id) {
+      sessionCache.delete(key);
+    }
+  }
+}
+
+module.exports = {
+  getAuthUser,
+  isSessionActive,
+  invalidateUser,
+  invalidateSession,
+  invalidateUserSessions
+};
@@ -0,0 +1,70 @@
+/**
+ * ========================================
+ * 头像存储注册表
+ * ========================================
+ * 每种存储都实现相同的接口：
+ * - name / label           存储标识和中文名称
+ * - save(buffer, options)  保存图片，options: { userId, ext }，返回 Promise<string>（存储 key）
+ * - remove(key)            删除图片，返回 Promise<void>（图片不存在时不报错）
+ * - getUrl(key)            返回图片的访问地址
+ * - mount(app)             （可选）在 Express 上注册访问图片的路由，比如本地存储的静态文件
+ *
+ * 通过环境变量 AVATAR_STORAGE 选择存储，目前支持 local（本地磁盘，默认）
+ * 以后接入对象存储（OSS/COS）时，新增一个实现并在这里注册即可
+ */
+
+const PROVIDERS = {
+  local: require('./local')
+};
+
+// 头像图片大小上限（字节）
+const AVATAR_MAX_BYTES = (parseInt(process.env.AVATAR_MAX_KB) || 2048) * 1024;
+
+/**
+ * 根据环境变量确定当前使用的存储名称
+ */
+function resolveStorageName() {
+  const configured = (process.env.AVATAR_STORAGE || 'local').toLowerCase();
+  if (!PROVIDERS[configured]) {
+    console.error(`[头像] 未知的 AVATAR_STORAGE: ${configured}，已改用本地存储`);
+    return 'local';
+  }
+  return configured;
+}
+
+const activeStorage = PROVIDERS[resolveStorageName()];
+
+/**
+ * 获取当前使用的头像存储
+ */
+function getAvatarStorage() {
+  return activeStorage;
+}
+
+/**
+ * 根据文件头判断图片类型（不信任客户端传的 Content-Type）
+ * @param {Buffer} buffer
+ * @returns {null|string} 支持的图片返回扩展名（png / jpg / webp），否则返回 null
+ */
+function detectImageType(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) {
+    return null;
+  }
+  if (buffer.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return 'png';
+  }
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'jpg';
+  }
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    return 'webp';
+  }
+  return null;
+}
+
+module.exports = {
+  PROVIDERS,
+  AVATAR_MAX_BYTES,
+  getAvatarStorage,
+  detectImageType
+};
@@ -0,0 +1,64 @@
+/**
+ * ========================================
+ * 本地磁盘头像存储
+ * ========================================
+ * 图片保存在 AVATAR_STORAGE_DIR 目录（默认 backend/uploads/avatars），
+ * 通过 /uploads/avatars/<key> 访问
+ *
+ * 注意：Render 等平台的磁盘在重新部署后会清空，生产环境需要挂载持久化磁盘，
+ * 或者改用对象存储
+ */
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const express = require('express');
+
+const STORAGE_DIR = process.env.AVATAR_STORAGE_DIR || path.join(__dirname, '..', '..', 'uploads', 'avatars');
+
+// 访问路径前缀
+const PUBLIC_PATH = '/uploads/avatars';
+
+// 访问地址的域名前缀（比如 https://api.example.com），不设置时返回相对地址
+const PUBLIC_BASE_URL = (process.env.AVATAR_PUBLIC_BASE_URL || '').replace(/\/+$/, '');
+
+// key 只允许 save() 生成的格式，防止通过 key 访问存储目录以外的文件
+const KEY_PATTERN = /^[a-f0-9]{24}-[a-z0-9]+-[a-f0-9]{8}\.(png|jpg|webp)$/;
+
+module.exports = {
+  name: 'local',
+  label: '本地磁盘',
+  
+  async save(buffer, { userId, ext }) {
+    // 每次上传都生成新文件名，避免客户端缓存到旧头像
+    const key = `${userId}-${Date.now().toString(36)}-${crypto.randomBytes(4).toString('hex')}.${ext}`;
+    await fs.mkdir(STORAGE_DIR, { recursive: true });
+    await fs.writeFile(path.join(STORAGE_DIR, key), buffer);
+    return key;
+  },
+  
+  async remove(key) {
+    if (!KEY_PATTERN.test(key)) {
+      return;
+    }
+    try {
+      await fs.unlink(path.join(STORAGE_DIR, key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  },
+  
+  getUrl(key) {
+    return `${PUBLIC_BASE_URL}${PUBLIC_PATH}/${key}`;
+  },
+  
+  mount(app) {
+    app.use(PUBLIC_PATH, express.static(STORAGE_DIR, {
+      maxAge: '30d',
+      immutable: true,
+      fallthrough: false
+    }));
+  }
+};
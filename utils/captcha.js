@@ -0,0 +1,81 @@
+/**
+ * ========================================
+ * 人机验证（图形/滑块验证码）校验工具
+ * ========================================
+ * 前端通过图形或滑块验证后会拿到一个 captchaToken，
+ * 后端把 token 转发给 CAPTCHA_VERIFY_URL 校验，接口需返回 { success: true }
+ * 可以对接阿里云/腾讯云验证码服务，或者自己部署的校验服务
+ *
+ * 没有配置 CAPTCHA_VERIFY_URL 时视为未启用人机验证
+ */
+
+const http = require('http');
+const https = require('https');
+
+const CAPTCHA_VERIFY_URL = process.env.CAPTCHA_VERIFY_URL || '';
+
+// 校验请求超时时间（毫秒）
+const VERIFY_TIMEOUT_MS = 5000;
+
+/**
+ * 是否启用了人机验证
+ */
+function isCaptchaEnabled() {
+  return !!CAPTCHA_VERIFY_URL;
+}
+
+/**
+ * 校验前端提交的 captchaToken
+ * @param {string} token - 前端通过验证后拿到的 token
+ * @param {string} ip - 用户 IP
+ * @returns {Promise<boolean>} 是否通过
+ */
+function verifyCaptchaToken(token, ip) {
+  return new Promise((resolve) => {
+    if (!token) {
+      return resolve(false);
+    }
+    
+    try {
+      const url = new URL(CAPTCHA_VERIFY_URL);
+      const body = JSON.stringify({ token, ip });
+      const client = url.protocol === 'https:' ? https : http;
+      
+      const req = client.request(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(body)
+        },
+        timeout: VERIFY_TIMEOUT_MS
+      }, (res) => {
+        let data = '';
+        res.on('data', chunk => data += chunk);
+        res.on('end', () => {
+          try {
+            resolve(JSON.parse(data).success === true);
+          } catch (e) {
+            resolve(false);
+          }
+        });
+      });
+      
+      req.on('timeout', () => req.destroy(new Error('timeout')));
+      req.on('error', (error) => {
+        console.error('人机验证校验失败:', error.message);
+        resolve(false);
+      });
+      
+      req.end(body);
+      
+    } catch (error) {
+      console.error('人机验证校验异常:', error);
+      resolve(false);
+    }
+  });
+}
+
+module.exports = {
+  isCaptchaEnabled,
+  verifyCaptchaToken
+};
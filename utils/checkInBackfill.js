@@ -0,0 +1,44 @@
+/**
+ * ========================================
+ * 补签规则
+ * ========================================
+ * 签到日期由服务端校验，不能随意指定：
+ * - 不能给未来的日期签到
+ * - 只能补签最近 CHECKIN_BACKFILL_DAYS 天（默认 3 天，设为 0 表示不允许补签）
+ * 日期早于今天的签到记为补签（isBackfilled），补签不计入连续签到天数
+ */
+
+const { addDays, isValidDateString } = require('./localDate');
+
+const parsedBackfillDays = parseInt(process.env.CHECKIN_BACKFILL_DAYS);
+const BACKFILL_DAYS = Number.isNaN(parsedBackfillDays) ? 3 : Math.max(parsedBackfillDays, 0);
+
+/**
+ * 校验签到日期
+ * @param {string} date - 要签到的日期 YYYY-MM-DD
+ * @param {string} today - 用户所在时区的今天
+ * @returns {{error: string}|{isBackfilled: boolean}}
+ */
+function checkCheckInDate(date, today) {
+  if (!isValidDateString(date)) {
+    return { error: '日期格式错误，应为 YYYY-MM-DD' };
+  }
+  if (date > today) {
+    return { error: '不能给未来的日期签到' };
+  }
+  if (date === today) {
+    return { isBackfilled: false };
+  }
+  if (BACKFILL_DAYS === 0) {
+    return { error: '不支持补签' };
+  }
+  if (date < addDays(today, -BACKFILL_DAYS)) {
+    return { error: `只能补签最近 ${BACKFILL_DAYS} 天的签到` };
+  }
+  return { isBackfilled: true };
+}
+
+module.exports = {
+  BACKFILL_DAYS,
+  checkCheckInDate
+};
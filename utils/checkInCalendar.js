@@ -0,0 +1,162 @@
+/**
+ * ========================================
+ * 签到日历（年度热力图）
+ * ========================================
+ * 一次返回一段时间内每天的签到状态，以及按月、按周的汇总，前端不用按月多次请求
+ *
+ * 签到数量用 MongoDB 聚合统计，交易日、漏签根据交易日历计算（见 utils/tradingCalendar.js）
+ *
+ * 每天的状态用一个字符表示，按日期顺序拼成字符串（第一个字符是 from 这一天）：
+ * c: 完成签到  i: 手欠签到  m: 漏签（已经过去的交易日没有签到）
+ * r: 休市日（周末、节假日没有签到）  p: 还没到（今天及以后的交易日没有签到）
+ */
+
+const mongoose = require('mongoose');
+const CheckIn = require('../models/CheckIn');
+const { addDays, getWeekStart } = require('./localDate');
+const { DAY_FIELD_STAGE, HAS_DAY_STAGE, countIf, weekStartExpression } = require('./checkInStats');
+
+const DAY_STATUS = {
+  COMPLETED: 'c',
+  INCOMPLETE: 'i',
+  MISSED: 'm',
+  REST: 'r',
+  PENDING: 'p'
+};
+
+const DAY_STATUS_LABELS = {
+  [DAY_STATUS.COMPLETED]: '完成签到',
+  [DAY_STATUS.INCOMPLETE]: '手欠签到',
+  [DAY_STATUS.MISSED]: '漏签',
+  [DAY_STATUS.REST]: '休市',
+  [DAY_STATUS.PENDING]: '未到'
+};
+
+// 一次最多查询的天数
+const MAX_CALENDAR_DAYS = 366;
+
+// 每个分组统计的签到数量
+const COUNT_FIELDS = {
+  completed: countIf({ $eq: ['$type', 'completed'] }),
+  incomplete: countIf({ $eq: ['$type', 'incomplete'] }),
+  backfilled: countIf({ $eq: ['$isBackfilled', true] })
+};
+
+function emptyBucket() {
+  return { completed: 0, incomplete: 0, backfilled: 0, tradingDays: 0, missed: 0 };
+}
+
+/**
+ * 按日期统计签到
+ * @param {string} userId
+ * @param {string} from - 开始日期 YYYY-MM-DD（含）
+ * @param {string} to - 结束日期 YYYY-MM-DD（含）
+ * @param {object} calendar - 交易日历（getUserTradingCalendar 的返回值）
+ * @param {string} today - 用户所在时区的今天
+ */
+async function getCheckInCalendar(userId, from, to, calendar, today) {
+  const [result] = await CheckIn.aggregate([
+    {
+      $match: {
+        userId: new mongoose.Types.ObjectId(userId),
+        date: { $gte: from, $lte: to }
+      }
+    },
+    DAY_FIELD_STAGE,
+    {
+      $facet: {
+        // 每种签到类型的日期列表
+        days: [
+          { $group: { _id: '$type', dates: { $push: '$date' } } }
+        ],
+        months: [
+          { $group: { _id: { $substrCP: ['$date', 0, 7] }, ...COUNT_FIELDS } }
+        ],
+        // 按周一分组
+        weeks: [
+          HAS_DAY_STAGE,
+          { $group: { _id: weekStartExpression('$day'), ...COUNT_FIELDS } }
+        ]
+      }
+    }
+  ]);
+  
+  const types = new Map();
+  for (const group of result.days) {
+    for (const date of group.dates) {
+      types.set(date, group._id);
+    }
+  }
+  
+  const monthCounts = new Map(result.months.map(m => [m._id, m]));
+  const weekCounts = new Map(result.weeks.map(w => [w._id, w]));
+  
+  const summary = emptyBucket();
+  const months = new Map();
+  const weeks = new Map();
+  let days = '';
+  
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    const month = date.slice(0, 7);
+    const week = getWeekStart(date);
+    if (!months.has(month)) {
+      months.set(month, emptyBucket());
+    }
+    if (!weeks.has(week)) {
+      weeks.set(week, emptyBucket());
+    }
+    
+    const type = types.get(date);
+    const isTradingDay = calendar.isTradingDay(date);
+    let status;
+    if (type) {
+      status = type === 'completed' ? DAY_STATUS.COMPLETED : DAY_STATUS.INCOMPLETE;
+    } else if (!isTradingDay) {
+      status = DAY_STATUS.REST;
+    } else {
+      status = date < today ? DAY_STATUS.MISSED : DAY_STATUS.PENDING;
+    }
+    days += status;
+    
+    // 交易日和漏签天数按日历计算，签到数量用聚合结果
+    for (const bucket of [summary, months.get(month), weeks.get(week)]) {
+      if (isTradingDay) {
+        bucket.tradingDays++;
+      }
+      if (status === DAY_STATUS.MISSED) {
+        bucket.missed++;
+      }
+    }
+  }
+  
+  const withCounts = (bucket, counts) => {
+    bucket.completed = counts ? counts.completed : 0;
+    bucket.incomplete = counts ? counts.incomplete : 0;
+    bucket.backfilled = counts ? counts.backfilled : 0;
+    return bucket;
+  };
+  
+  for (const counts of result.months) {
+    summary.completed += counts.completed;
+    summary.incomplete += counts.incomplete;
+    summary.backfilled += counts.backfilled;
+  }
+  
+  return {
+    from,
+    to,
+    market: calendar.market,
+    legend: DAY_STATUS_LABELS,
+    days,
+    summary,
+    months: Array.from(months, ([month, bucket]) => ({ month, ...withCounts(bucket, monthCounts.get(month)) })),
+    weeks: Array.from(weeks, ([weekStart, bucket]) => ({ weekStart, ...withCounts(bucket, weekCounts.get(weekStart)) }))
+  };
+}
+
+module.exports = {
+  DAY_STATUS,
+  DAY_STATUS_LABELS,
+  MAX_CALENDAR_DAYS,
+  getCheckInCalendar
+};
@@ -0,0 +1,66 @@
+/**
+ * ========================================
+ * 签到修改工具
+ * ========================================
+ * 签到保存后只能在一定时间内修改或撤销，过了时间就不能再改：
+ * - 默认（CHECKIN_EDIT_WINDOW=next-open）：签到日期之后的下一个交易日开盘前都可以修改，
+ *   补签的记录按提交时间算：提交后的下一次开盘前可以修改
+ * - CHECKIN_EDIT_WINDOW 设为数字时：签到后这么多小时内可以修改，比如 24
+ *
+ * 每次修改或撤销都会把修改前的内容保存到 CheckInHistory
+ */
+
+const CheckInHistory = require('../models/CheckInHistory');
+
+const EDIT_WINDOW = (process.env.CHECKIN_EDIT_WINDOW || 'next-open').trim();
+
+/**
+ * 计算签到记录最晚可以修改的时间
+ * @param {{date: string, createdAt: Date}} checkIn
+ * @param {object} calendar - 交易日历（utils/tradingCalendar.js）
+ * @returns {Date}
+ */
+function getEditDeadline(checkIn, calendar) {
+  const hours = Number(EDIT_WINDOW);
+  if (EDIT_WINDOW !== 'next-open' && hours > 0) {
+    return new Date(checkIn.createdAt.getTime() + hours * 60 * 60 * 1000);
+  }
+  if (checkIn.isBackfilled && checkIn.submittedAt) {
+    return calendar.getNextOpenAfter(checkIn.submittedAt);
+  }
+  return calendar.getNextOpen(checkIn.date);
+}
+
+/**
+ * 签到记录现在是否还能修改
+ */
+function canEditCheckIn(checkIn, calendar) {
+  return Date.now() < getEditDeadline(checkIn, calendar).getTime();
+}
+
+/**
+ * 保存一条修改记录（修改前的内容）
+ * @param {object} checkIn - 修改前的签到记录
+ * @param {'update'|'delete'} action
+ */
+async function recordCheckInHistory(checkIn, action) {
+  await CheckInHistory.create({
+    checkInId: checkIn._id,
+    userId: checkIn.userId,
+    date: checkIn.date,
+    action,
+    previous: {
+      type: checkIn.type,
+      incompleteTasks: (checkIn.incompleteTasks || []).map(t => ({ title: t.title, content: t.content })),
+      violations: (checkIn.violations || []).map(v => ({ category: v.category, severity: v.severity })),
+      principles: (checkIn.principles || []).map(p => ({ key: p.key, text: p.text, kept: p.kept })),
+      note: checkIn.note
+    }
+  });
+}
+
+module.exports = {
+  getEditDeadline,
+  canEditCheckIn,
+  recordCheckInHistory
+};
@@ -0,0 +1,382 @@
+/**
+ * ========================================
+ * 签到统计
+ * ========================================
+ * GET /api/checkin/stats 的统计逻辑，全部通过 MongoDB 聚合计算，
+ * 只把签到日期（字符串）取到 Node 里按交易日历计算连续天数，签了几年的用户也不会很慢
+ *
+ * 连续天数只按交易日计算（见 utils/tradingCalendar.js）：
+ * - 连续签到：每个交易日都有签到（完成或手欠都算）
+ * - 连续无违规：每个交易日都是完成签到
+ * 补签的日期不会让连续天数中断，但不计入天数
+ *
+ * range 参数决定遵守率走势、违规星期分布等统计的时间范围
+ *
+ * 老数据里可能有格式不对的日期（比如 2024/01/16），统计时一律忽略
+ */
+
+const mongoose = require('mongoose');
+const CheckIn = require('../models/CheckIn');
+const { addDays, isValidDateString } = require('./localDate');
+
+// 统计范围 => 天数（all 表示全部记录）
+const STATS_RANGES = {
+  '30d': 30,
+  '90d': 90,
+  '180d': 180,
+  '1y': 365,
+  all: null
+};
+
+const DEFAULT_STATS_RANGE = '1y';
+
+const WEEKDAY_LABELS = ['周一', '周二', '周三', '周四', '周五', '周六', '周日'];
+
+const ONE_DAY_MS = 24 * 60 * 60 * 1000;
+
+// 日期格式正确的签到（聚合的第一步就过滤掉格式不对的老数据）
+const DATE_FORMAT_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * 按条件计数的聚合表达式
+ */
+function countIf(condition) {
+  return { $sum: { $cond: [condition, 1, 0] } };
+}
+
+/**
+ * 日期（Date 类型字段）所在周的周一，格式 YYYY-MM-DD，用作按周分组的 _id
+ * 算法：日期减去（星期几 - 1）天
+ * @param {string} field - 比如 '$day'
+ */
+function weekStartExpression(field) {
+  return {
+    $dateToString: {
+      format: '%Y-%m-%d',
+      date: {
+        $subtract: [field, { $multiply: [{ $subtract: [{ $isoDayOfWeek: field }, 1] }, ONE_DAY_MS] }]
+      }
+    }
+  };
+}
+
+// 把字符串日期转成 Date，方便按周、按星期分组
+// 格式对但日期不存在的（比如 2024-02-30）转成 null，不让整个聚合报错；按周、按星期分组时跳过
+const DAY_FIELD_STAGE = {
+  $addFields: {
+    day: { $dateFromString: { dateString: '$date', format: '%Y-%m-%d', onError: null, onNull: null } }
+  }
+};
+
+// 跳过 day 为 null 的记录
+const HAS_DAY_STAGE = { $match: { day: { $ne: null } } };
+
+// 每个分组统计的签到数量
+const PERIOD_FIELDS = {
+  completed: countIf({ $eq: ['$type', 'completed'] }),
+  incomplete: countIf({ $eq: ['$type', 'incomplete'] })
+};
+
+/**
+ * 遵守率（完成签到 / 全部签到，保留两位小数），没有签到时为 null
+ */
+function complianceRate(completed, total) {
+  return total > 0 ? Number((completed / total).toFixed(2)) : null;
+}
+
+/**
+ * 聚合结果 => 每个周期的统计，按周期排序
+ */
+function formatPeriods(groups) {
+  return groups
+    .map(g => ({
+      period: g._id,
+      completed: g.completed,
+      incomplete: g.incomplete,
+      total: g.completed + g.incomplete,
+      complianceRate: complianceRate(g.completed, g.completed + g.incomplete)
+    }))
+    .sort((a, b) => (a.period < b.period ? -1 : 1));
+}
+
+/**
+ * 解析统计范围
+ * @param {string} [range]
+ * @param {string} today
+ * @returns {null|{range: string, from: string|null, to: string}} range 不合法时返回 null
+ */
+function resolveStatsRange(range = DEFAULT_STATS_RANGE, today) {
+  if (!Object.prototype.hasOwnProperty.call(STATS_RANGES, range)) {
+    return null;
+  }
+  const days = STATS_RANGES[range];
+  return {
+    range,
+    from: days ? addDays(today, -(days - 1)) : null,
+    to: today
+  };
+}
+
+/**
+ * 用户全部签到的日期（只取日期，不取整条记录），不合法的日期不返回
+ * @returns {Promise<{all: string[], incomplete: Set<string>, backfilled: Set<string>}>} all 按日期升序
+ */
+async function getCheckInDates(userId) {
+  const [result] = await CheckIn.aggregate([
+    { $match: { userId: new mongoose.Types.ObjectId(userId), date: { $regex: DATE_FORMAT_REGEX } } },
+    { $sort: { date: 1 } },
+    {
+      $group: {
+        _id: null,
+        all: { $push: '$date' },
+        incomplete: { $push: { $cond: [{ $eq: ['$type', 'incomplete'] }, '$date', '$$REMOVE'] } },
+        backfilled: { $push: { $cond: [{ $eq: ['$isBackfilled', true] }, '$date', '$$REMOVE'] } }
+      }
+    }
+  ]);
+  
+  // 格式对但日期不存在的（比如 2024-02-30）在这里过滤
+  const { all = [], incomplete = [], backfilled = [] } = result || {};
+  const valid = dates => dates.filter(date => isValidDateString(date));
+  
+  return {
+    all: valid(all),
+    incomplete: new Set(valid(incomplete)),
+    backfilled: new Set(valid(backfilled))
+  };
+}
+
+/**
+ * 找出最长的连续交易日
+ * @param {string[]} dates - 满足条件的日期，按日期升序
+ * @param {Set<string>} backfilled - 补签的日期（不中断，但不计入天数）
+ * @param {object} calendar - 交易日历
+ * @returns {{days: number, from: string|null, to: string|null}}
+ */
+function findLongestRun(dates, backfilled, calendar) {
+  let best = { days: 0, from: null, to: null };
+  let current = null;
+  
+  for (const date of dates) {
+    if (!calendar.isTradingDay(date)) {
+      continue;
+    }
+    
+    if (!current || calendar.previousTradingDay(date) !== current.to) {
+      current = { days: 0, from: date, to: date };
+    }
+    current.to = date;
+    if (!backfilled.has(date)) {
+      current.days++;
+    }
+    
+    if (current.days > best.days) {
+      best = { ...current };
+    }
+  }
+  return best;
+}
+
+/**
+ * 当前的连续签到天数（只数交易日）
+ * 今天是交易日且已签到，从今天开始往前数；否则从上一个交易日开始（今天还没结束，不算断签）
+ * @returns {{streak: number, streakBackfilled: number}}
+ */
+function countCurrentStreak(checkInDates, backfilled, calendar, today) {
+  let streak = 0;
+  let streakBackfilled = 0;
+  let checkDate = calendar.isTradingDay(today) && checkInDates.has(today)
+    ? today
+    : calendar.previousTradingDay(today);
+  
+  while (checkInDates.has(checkDate)) {
+    if (backfilled.has(checkDate)) {
+      streakBackfilled++;
+    } else {
+      streak++;
+    }
+    checkDate = calendar.previousTradingDay(checkDate);
+  }
+  return { streak, streakBackfilled };
+}
+
+/**
+ * 统计范围内的遵守率走势、月环比和违规的星期分布
+ * @param {string} userId
+ * @param {{range: string, from: string|null, to: string}} range
+ */
+async function getRangeStats(userId, { range, from, to }) {
+  const match = { userId: new mongoose.Types.ObjectId(userId) };
+  match.date = from
+    ? { $gte: from, $lte: to, $regex: DATE_FORMAT_REGEX }
+    : { $lte: to, $regex: DATE_FORMAT_REGEX };
+  
+  const [result] = await CheckIn.aggregate([
+    { $match: match },
+    DAY_FIELD_STAGE,
+    {
+      $facet: {
+        weekly: [
+          HAS_DAY_STAGE,
+          { $group: { _id: weekStartExpression('$day'), ...PERIOD_FIELDS } }
+        ],
+        monthly: [
+          { $group: { _id: { $substrCP: ['$date', 0, 7] }, ...PERIOD_FIELDS } }
+        ],
+        quarterly: [
+          {
+            $group: {
+              _id: {
+                $concat: [
+                  { $substrCP: ['$date', 0, 4] },
+                  '-Q',
+                  { $toString: { $ceil: { $divide: [{ $toInt: { $substrCP: ['$date', 5, 2] } }, 3] } } }
+                ]
+              },
+              ...PERIOD_FIELDS
+            }
+          }
+        ],
+        // 手欠签到按星期几分组（1 = 周一 ... 7 = 周日），同时统计违规类型的数量
+        weekdays: [
+          { $match: { type: 'incomplete', day: { $ne: null } } },
+          {
+            $group: {
+              _id: { $isoDayOfWeek: '$day' },
+              count: { $sum: 1 },
+              violations: { $sum: { $size: { $ifNull: ['$violations', []] } } }
+            }
+          }
+        ]
+      }
+    }
+  ]);
+  
+  const monthly = formatPeriods(result.monthly);
+  monthly.forEach((month, i) => {
+    const previous = monthly[i - 1];
+    // 和上个月相比遵守率的变化（上个月没有签到时为 null）
+    month.complianceRateChange = previous && previous.period === addDays(`${month.period}-01`, -1).slice(0, 7)
+      ? Number((month.complianceRate - previous.complianceRate).toFixed(2))
+      : null;
+  });
+  
+  // 本月和上个月对比
+  const currentMonth = to.slice(0, 7);
+  const previousMonth = addDays(`${currentMonth}-01`, -1).slice(0, 7);
+  const find = (period) => monthly.find(m => m.period === period) || null;
+  const current = find(currentMonth);
+  const previous = find(previousMonth);
+  
+  const weekdayCounts = new Map(result.weekdays.map(w => [w._id, w]));
+  const incompleteTotal = result.weekdays.reduce((sum, w) => sum + w.count, 0);
+  
+  return {
+    range,
+    from,
+    to,
+    compliance: {
+      weekly: formatPeriods(result.weekly),
+      monthly,
+      quarterly: formatPeriods(result.quarterly)
+    },
+    monthOverMonth: {
+      currentMonth,
+      previousMonth,
+      complianceRate: current ? current.complianceRate : null,
+      previousComplianceRate: previous ? previous.complianceRate : null,
+      complianceRateChange: current && previous
+        ? Number((current.complianceRate - previous.complianceRate).toFixed(2))
+        : null,
+      incomplete: current ? current.incomplete : 0,
+      previousIncomplete: previous ? previous.incomplete : 0
+    },
+    violationsByWeekday: WEEKDAY_LABELS.map((label, i) => {
+      const item = weekdayCounts.get(i + 1);
+      return {
+        weekday: i + 1,
+        label,
+        incomplete: item ? item.count : 0,
+        violations: item ? item.violations : 0,
+        share: incompleteTotal > 0 && item ? Number((item.count / incompleteTotal).toFixed(2)) : 0
+      };
+    })
+  };
+}
+
+/**
+ * 签到统计
+ * @param {string} userId
+ * @param {object} options
+ * @param {string} options.today - 用户所在时区的今天
+ * @param {object} options.calendar - 用户的交易日历
+ * @param {{range: string, from: string|null, to: string}} options.range - resolveStatsRange 的返回值
+ */
+async function getCheckInStats(userId, { today, calendar, range }) {
+  const monthPrefix = today.slice(0, 7);
+  const monthStart = `${monthPrefix}-01`;
+  
+  const [dates, rangeStats] = await Promise.all([
+    getCheckInDates(userId),
+    getRangeStats(userId, range)
+  ]);
+  
+  const checkInDates = new Set(dates.all);
+  const monthDates = dates.all.filter(date => date.startsWith(monthPrefix));
+  const monthIncomplete = monthDates.filter(date => dates.incomplete.has(date)).length;
+  
+  const { streak, streakBackfilled } = countCurrentStreak(checkInDates, dates.backfilled, calendar, today);
+  
+  // 本月漏签的交易日（今天还没签到的不算漏签）
+  const missedDates = calendar.listTradingDays(monthStart, today)
+    .filter(date => !checkInDates.has(date) && date !== today);
+  
+  return {
+    // 本月统计
+    monthly: {
+      total: monthDates.length,
+      completed: monthDates.length - monthIncomplete,
+      incomplete: monthIncomplete,
+      missed: missedDates.length,
+      missedDates
+    },
+    // 总体统计
+    overall: {
+      total: dates.all.length,
+      completed: dates.all.length - dates.incomplete.size,
+      incomplete: dates.incomplete.size,
+      backfilled: dates.backfilled.size
+    },
+    // 连续签到的交易日天数（不含补签）
+    streak,
+    // 连续签到中补签的天数
+    streakBackfilled,
+    // 历史最长连续签到、最长连续无违规（完成签到）
+    longestStreak: findLongestRun(dates.all, dates.backfilled, calendar),
+    longestViolationFreeRun: findLongestRun(
+      dates.all.filter(date => !dates.incomplete.has(date)),
+      dates.backfilled,
+      calendar
+    ),
+    // 使用的交易日历，以及今天是否为交易日
+    calendar: {
+      market: calendar.market,
+      isTradingDay: calendar.isTradingDay(today)
+    },
+    // range 范围内的遵守率走势、月环比、违规的星期分布
+    range: rangeStats
+  };
+}
+
+module.exports = {
+  STATS_RANGES,
+  DEFAULT_STATS_RANGE,
+  DAY_FIELD_STAGE,
+  HAS_DAY_STAGE,
+  countIf,
+  weekStartExpression,
+  resolveStatsRange,
+  getCheckInDates,
+  findLongestRun,
+  getCheckInStats
+};
@@ -0,0 +1,256 @@
+/**
+ * ========================================
+ * 个人数据导出工具
+ * ========================================
+ * 把用户的全部数据导出成可下载的文件，支持两种格式：
+ * - json：完整归档（用户资料、全部签到、全部每日记录、用户设置），可用于导入恢复
+ * - csv：按日期把签到和当日交易计划/感悟合并成一行，方便用 Excel 打开
+ *
+ * 导出时使用数据库游标逐条读取并写入响应，数据再多也不会一次性加载到内存
+ */
+
+const CheckIn = require('../models/CheckIn');
+const DailyRecord = require('../models/DailyRecord');
+const UserSettings = require('../models/UserSettings');
+const { formatProfile } = require('./profile');
+const { getToday } = require('./localDate');
+
+// 归档格式标识和版本号（导入时用来校验）
+const ARCHIVE_FORMAT = 'trading-mind-export';
+const ARCHIVE_VERSION = 1;
+
+/**
+ * 签到记录 => 归档中的格式
+ */
+function serializeCheckIn(doc) {
+  return {
+    date: doc.date,
+    type: doc.type,
+    isCompleted: doc.isCompleted,
+    incompleteTasks: (doc.incompleteTasks || []).map(t => ({ title: t.title, content: t.content })),
+    violations: (doc.violations || []).map(v => ({ category: v.category, severity: v.severity })),
+    principles: (doc.principles || []).map(p => ({ key: p.key, text: p.text || null, kept: p.kept })),
+    note: doc.note || '',
+    isBackfilled: !!doc.isBackfilled,
+    submittedAt: doc.submittedAt || null,
+    createdAt: doc.createdAt,
+    updatedAt: doc.updatedAt || doc.createdAt
+  };
+}
+
+/**
+ * 每日记录 => 归档中的格式
+ */
+function serializeDailyRecord(doc) {
+  return {
+    date: doc.date,
+    tradingPlans: (doc.tradingPlans || []).map(p => ({ title: p.title, content: p.content })),
+    reflection: doc.reflection || '',
+    createdAt: doc.createdAt,
+    updatedAt: doc.updatedAt
+  };
+}
+
+/**
+ * 用户设置 => 归档中的格式
+ */
+function serializeSettings(doc) {
+  if (!doc) {
+    return null;
+  }
+  return {
+    presetPrinciples: (doc.presetPrinciples || []).map(p => ({ index: p.index, isSelected: p.isSelected })),
+    customPrinciples: doc.customPrinciples || [],
+    customPrincipleIds: doc.customPrincipleIds || [],
+    tradingHomework: (doc.tradingHomework || []).map(i => ({ title: i.title, content: i.content })),
+    tradingPlans: (doc.tradingPlans || []).map(i => ({ title: i.title, content: i.content })),
+    updatedAt: doc.updatedAt
+  };
+}
+
+/**
+ * 写入一段数据，缓冲区满时等待 drain，避免占用过多内存
+ * 客户端断开连接或写入出错时 reject，导出随之中止
+ */
+function write(res, chunk) {
+  if (res.destroyed) {
+    return Promise.reject(new Error('客户端已断开连接'));
+  }
+  if (res.write(chunk)) {
+    return Promise.resolve();
+  }
+  return new Promise((resolve, reject) => {
+    const cleanup = () => {
+      res.off('drain', onDrain);
+      res.off('close', onClose);
+      res.off('error', onError);
+    };
+    const onDrain = () => {
+      cleanup();
+      resolve();
+    };
+    const onClose = () => {
+      cleanup();
+      reject(new Error('客户端已断开连接'));
+    };
+    const onError = (error) => {
+      cleanup();
+      reject(error);
+    };
+    res.on('drain', onDrain);
+    res.on('close', onClose);
+    res.on('error', onError);
+  });
+}
+
+/**
+ * 导出文件名，比如 trading-mind-20240115.json（日期按用户所在时区）
+ */
+function exportFileName(ext, user) {
+  const today = getToday(user.profile && user.profile.timezone).replace(/-/g, '');
+  return `trading-mind-${today}.${ext}`;
+}
+
+/**
+ * 按日期升序遍历某个用户的集合
+ */
+function userCursor(Model, userId) {
+  return Model.find({ userId }).sort({ date: 1 }).lean().cursor();
+}
+
+/**
+ * 把某个集合逐条写成 JSON 数组的元素（不含方括号），中途出错也会关闭游标
+ */
+async function writeJsonItems(res, Model, userId, serialize) {
+  const cursor = userCursor(Model, userId);
+  try {
+    let first = true;
+    for await (const doc of cursor) {
+      await write(res, (first ? '' : ',') + JSON.stringify(serialize(doc)));
+      first = false;
+    }
+  } finally {
+    await cursor.close();
+  }
+}
+
+/**
+ * 以 JSON 归档格式流式导出
+ */
+async function streamJsonExport(res, user) {
+  const settings = await UserSettings.findOne({ userId: user._id }).lean();
+  
+  res.setHeader('Content-Type', 'application/json; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${exportFileName('json', user)}"`);
+  
+  const header = {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    exportedAt: new Date(),
+    profile: {
+      username: user.username,
+      phone: user.phone,
+      createdAt: user.createdAt,
+      ...formatProfile(user)
+    },
+    settings: serializeSettings(settings)
+  };
+  
+  // 先写出头部字段（去掉结尾的 "}"），再逐条写入两个数组
+  await write(res, JSON.stringify(header).slice(0, -1));
+  
+  await write(res, ',"checkIns":[');
+  await writeJsonItems(res, CheckIn, user._id, serializeCheckIn);
+  
+  await write(res, '],"dailyRecords":[');
+  await writeJsonItems(res, DailyRecord, user._id, serializeDailyRecord);
+  
+  res.end(']}');
+}
+
+/**
+ * CSV 单元格转义：包含逗号、引号或换行时用引号包起来
+ */
+function csvCell(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  if (/[",\r\n]/.test(text)) {
+    return '"' + text.replace(/"/g, '""') + '"';
+  }
+  return text;
+}
+
+/**
+ * 把 [{ title, content }] 拼成一个单元格，比如 "买点计划：xxx；卖出计划：yyy"
+ */
+function joinItems(items) {
+  return (items || [])
+    .map(i => (i.content ? `${i.title}：${i.content}` : i.title))
+    .join('；');
+}
+
+const CSV_HEADERS = ['日期', '签到类型', '是否完成', '未完成任务', '签到备注', '交易计划', '交易感悟'];
+
+const CHECKIN_TYPE_LABELS = {
+  completed: '完成',
+  incomplete: '手欠'
+};
+
+/**
+ * 以 CSV 格式流式导出
+ * 签到和每日记录都按日期升序读取，像拉链一样按日期合并成一行
+ */
+async function streamCsvExport(res, user) {
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${exportFileName('csv', user)}"`);
+  
+  // 开头加 BOM，Excel 才能正确识别 UTF-8 中文
+  await write(res, '\uFEFF' + CSV_HEADERS.join(',') + '\r\n');
+  
+  const checkInCursor = userCursor(CheckIn, user._id);
+  const dailyCursor = userCursor(DailyRecord, user._id);
+  
+  try {
+    let checkIn = await checkInCursor.next();
+    let daily = await dailyCursor.next();
+    
+    while (checkIn || daily) {
+      // 取两边较小的日期作为当前行
+      const date = !daily || (checkIn && checkIn.date <= daily.date) ? checkIn.date : daily.date;
+      const rowCheckIn = checkIn && checkIn.date === date ? checkIn : null;
+      const rowDaily = daily && daily.date === date ? daily : null;
+      
+      const row = [
+        date,
+        rowCheckIn ? CHECKIN_TYPE_LABELS[rowCheckIn.type] || rowCheckIn.type : '',
+        rowCheckIn ? (rowCheckIn.isCompleted ? '是' : '否') : '',
+        rowCheckIn ? joinItems(rowCheckIn.incompleteTasks) : '',
+        rowCheckIn ? rowCheckIn.note : '',
+        rowDaily ? joinItems(rowDaily.tradingPlans) : '',
+        rowDaily ? rowDaily.reflection : ''
+      ];
+      await write(res, row.map(csvCell).join(',') + '\r\n');
+      
+      if (rowCheckIn) {
+        checkIn = await checkInCursor.next();
+      }
+      if (rowDaily) {
+        daily = await dailyCursor.next();
+      }
+    }
+  } finally {
+    // 客户端中途断开时也要释放游标
+    await Promise.all([checkInCursor.close(), dailyCursor.close()]);
+  }
+  
+  res.end();
+}
+
+module.exports = {
+  ARCHIVE_FORMAT,
+  ARCHIVE_VERSION,
+  serializeCheckIn,
+  serializeDailyRecord,
+  serializeSettings,
+  streamJsonExport,
+  streamCsvExport
+};
@@ -0,0 +1,318 @@
+/**
+ * ========================================
+ * 个人数据导入工具
+ * ========================================
+ * 把 /api/user/export 导出的 JSON 归档合并到当前账号：
+ * - 签到和每日记录按 (userId, date) 合并，已存在的日期按冲突策略处理
+ * - 用户设置整体合并（每个用户只有一份设置）
+ *
+ * 冲突策略（policy）：
+ * - skip：已存在的保持不变（默认）
+ * - overwrite：用归档里的覆盖
+ * - keep-newer：比较 updatedAt，保留较新的一份
+ *
+ * dryRun 为 true 时只统计会发生的变化，不写数据库
+ *
+ * 签到记录保留归档里的补签标记（恢复备份后连续签到天数不变），未来日期的签到视为无效
+ * 已存在的签到过了修改时间（utils/checkInEdit.js）就不再覆盖，覆盖前保存修改记录
+ *
+ * 写入用的 bulkWrite 不会执行 Schema 校验，每条记录写入前先按 Schema 校验一遍，不通过的记为无效
+ */
+
+const CheckIn = require('../models/CheckIn');
+const DailyRecord = require('../models/DailyRecord');
+const UserSettings = require('../models/UserSettings');
+const { ARCHIVE_FORMAT, ARCHIVE_VERSION } = require('./dataExport');
+const { VIOLATION_SEVERITY_LABELS } = require('./violations');
+const { isPrincipleKey, updateCustomPrinciples } = require('./principles');
+const { getToday, isValidDateString } = require('./localDate');
+const { getUserTradingCalendar } = require('./tradingCalendar');
+const { canEditCheckIn, recordCheckInHistory } = require('./checkInEdit');
+
+const IMPORT_POLICIES = ['skip', 'overwrite', 'keep-newer'];
+
+// 每批处理的记录数
+const BATCH_SIZE = 500;
+
+/**
+ * 校验归档格式
+ * @returns {{valid: boolean, message?: string}}
+ */
+function validateArchive(archive) {
+  if (!archive || typeof archive !== 'object') {
+    return { valid: false, message: '导入内容不能为空' };
+  }
+  if (archive.format !== ARCHIVE_FORMAT) {
+    return { valid: false, message: '不是 Trading Mind 导出的数据文件' };
+  }
+  if (typeof archive.version !== 'number' || archive.version > ARCHIVE_VERSION) {
+    return { valid: false, message: '数据文件版本过新，请先升级后端' };
+  }
+  if (archive.checkIns !== undefined && !Array.isArray(archive.checkIns)) {
+    return { valid: false, message: 'checkIns 格式错误' };
+  }
+  if (archive.dailyRecords !== undefined && !Array.isArray(archive.dailyRecords)) {
+    return { valid: false, message: 'dailyRecords 格式错误' };
+  }
+  return { valid: true };
+}
+
+/**
+ * 把 [{ title, content }] 清洗成只包含标题和内容的数组
+ */
+function cleanItems(items) {
+  if (!Array.isArray(items)) {
+    return [];
+  }
+  return items
+    .filter(i => i && typeof i.title === 'string' && i.title.trim())
+    .map(i => ({ title: i.title.trim(), content: typeof i.content === 'string' ? i.content : '' }));
+}
+
+/**
+ * 清理归档中的违规类型（自定义类型在其他部署/账号中可能不存在，统计时会显示 key）
+ */
+function cleanViolations(violations) {
+  if (!Array.isArray(violations)) {
+    return [];
+  }
+  return violations
+    .filter(v => v && typeof v.category === 'string' && VIOLATION_SEVERITY_LABELS[v.severity])
+    .map(v => ({ category: v.category, severity: v.severity }));
+}
+
+/**
+ * 清理归档中的原则遵守情况（保留当时的原则文字，原则在当前账号不存在时统计仍能显示）
+ * 原则 ID 格式不对的去掉，同一原则出现多次时以最后一条为准
+ */
+function cleanPrinciples(principles) {
+  if (!Array.isArray(principles)) {
+    return [];
+  }
+  const byKey = new Map();
+  for (const p of principles) {
+    if (p && isPrincipleKey(p.key) && typeof p.kept === 'boolean') {
+      byKey.set(p.key, { key: p.key, text: typeof p.text === 'string' ? p.text : null, kept: p.kept });
+    }
+  }
+  return Array.from(byKey.values());
+}
+
+/**
+ * 解析时间，无效时返回 null
+ */
+function parseDate(value) {
+  const date = value ? new Date(value) : null;
+  return date && !isNaN(date.getTime()) ? date : null;
+}
+
+/**
+ * 归档中的签到记录 => 要写入的字段，无效时返回 null
+ * @param {object} item
+ * @param {string} today - 用户所在时区的今天，晚于今天的签到无效
+ */
+function normalizeCheckIn(item, today) {
+  if (!item || !isValidDateString(item.date) || item.date > today
+    || !['completed', 'incomplete'].includes(item.type)) {
+    return null;
+  }
+  const createdAt = parseDate(item.createdAt) || new Date();
+  const isBackfilled = item.isBackfilled === true;
+  return {
+    date: item.date,
+    fields: {
+      type: item.type,
+      isCompleted: item.type === 'completed',
+      incompleteTasks: cleanItems(item.incompleteTasks),
+      violations: cleanViolations(item.type === 'incomplete' ? item.violations : []),
+      principles: cleanPrinciples(item.principles),
+      note: typeof item.note === 'string' ? item.note : '',
+      isBackfilled,
+      submittedAt: isBackfilled ? parseDate(item.submittedAt) : null,
+      updatedAt: parseDate(item.updatedAt) || createdAt
+    },
+    createdAt
+  };
+}
+
+/**
+ * 归档中的每日记录 => 要写入的字段，无效时返回 null
+ */
+function normalizeDailyRecord(item) {
+  if (!item || !isValidDateString(item.date)) {
+    return null;
+  }
+  const createdAt = parseDate(item.createdAt) || new Date();
+  return {
+    date: item.date,
+    fields: {
+      tradingPlans: cleanItems(item.tradingPlans),
+      reflection: typeof item.reflection === 'string' ? item.reflection.trim() : '',
+      updatedAt: parseDate(item.updatedAt) || createdAt
+    },
+    createdAt
+  };
+}
+
+/**
+ * 根据冲突策略决定如何处理一条记录
+ * @returns {'create'|'update'|'skip'}
+ */
+function decideAction(existing, incomingUpdatedAt, policy) {
+  if (!existing) {
+    return 'create';
+  }
+  if (policy === 'overwrite') {
+    return 'update';
+  }
+  if (policy === 'keep-newer') {
+    const existingUpdatedAt = existing.updatedAt || existing.createdAt;
+    return incomingUpdatedAt > existingUpdatedAt ? 'update' : 'skip';
+  }
+  return 'skip';
+}
+
+/**
+ * 合并一个集合（签到或每日记录）
+ * @param {object} [hooks]
+ * @param {function(object): boolean} [hooks.canUpdate] - 已存在的记录能否覆盖，不能覆盖的记为跳过
+ * @param {function(object): Promise} [hooks.beforeUpdate] - 覆盖已存在的记录之前调用（dryRun 时不调用）
+ * @returns {Promise<{created: number, updated: number, skipped: number, invalid: number}>}
+ */
+async function mergeCollection(Model, userId, items, normalize, { policy, dryRun }, hooks = {}) {
+  const report = { created: 0, updated: 0, skipped: 0, invalid: 0 };
+  
+  // 同一日期在归档里出现多次时以最后一条为准
+  const byDate = new Map();
+  for (const item of items || []) {
+    const normalized = normalize(item);
+    if (!normalized || new Model({ userId, date: normalized.date, ...normalized.fields }).validateSync()) {
+      report.invalid++;
+      continue;
+    }
+    byDate.set(normalized.date, normalized);
+  }
+  
+  const records = Array.from(byDate.values());
+  
+  for (let i = 0; i < records.length; i += BATCH_SIZE) {
+    const batch = records.slice(i, i + BATCH_SIZE);
+    
+    const existingDocs = await Model.find({
+      userId,
+      date: { $in: batch.map(r => r.date) }
+    }).lean();
+    const existingByDate = new Map(existingDocs.map(d => [d.date, d]));
+    
+    const operations = [];
+    const replaced = [];
+    for (const record of batch) {
+      const existing = existingByDate.get(record.date);
+      const action = decideAction(existing, record.fields.updatedAt, policy);
+      
+      if (action === 'skip' || (action === 'update' && hooks.canUpdate && !hooks.canUpdate(existing))) {
+        report.skipped++;
+        continue;
+      }
+      report[action === 'create' ? 'created' : 'updated']++;
+      if (action === 'update') {
+        replaced.push(existing);
+      }
+      
+      operations.push({
+        updateOne: {
+          filter: { userId, date: record.date },
+          update: {
+            $set: record.fields,
+            $setOnInsert: { createdAt: record.createdAt }
+          },
+          upsert: true
+        }
+      });
+    }
+    
+    if (!dryRun && operations.length > 0) {
+      if (hooks.beforeUpdate) {
+        for (const existing of replaced) {
+          await hooks.beforeUpdate(existing);
+        }
+      }
+      await Model.bulkWrite(operations, { ordered: false });
+    }
+  }
+  
+  return report;
+}
+
+/**
+ * 合并用户设置
+ * @returns {Promise<'created'|'updated'|'skipped'|'none'>}
+ */
+async function mergeSettings(userId, settings, { policy, dryRun }) {
+  if (!settings || typeof settings !== 'object') {
+    return 'none';
+  }
+  
+  const existing = await UserSettings.findOne({ userId });
+  const action = decideAction(existing, parseDate(settings.updatedAt) || new Date(0), policy);
+  
+  if (action === 'skip') {
+    return 'skipped';
+  }
+  
+  if (!dryRun) {
+    const doc = existing || new UserSettings({ userId });
+    
+    if (Array.isArray(settings.presetPrinciples)) {
+      doc.presetPrinciples = settings.presetPrinciples
+        .filter(p => p && typeof p.index === 'number')
+        .map(p => ({ index: p.index, isSelected: !!p.isSelected }));
+    }
+    if (Array.isArray(settings.customPrinciples)) {
+      // 带上归档里的原则 ID，导入的签到记录才能对应到原则
+      const ids = Array.isArray(settings.customPrincipleIds) ? settings.customPrincipleIds : [];
+      updateCustomPrinciples(doc, settings.customPrinciples.map((text, i) => ({ id: ids[i], text })));
+    }
+    if (Array.isArray(settings.tradingHomework)) {
+      doc.tradingHomework = cleanItems(settings.tradingHomework);
+    }
+    if (Array.isArray(settings.tradingPlans)) {
+      doc.tradingPlans = cleanItems(settings.tradingPlans);
+    }
+    await doc.save();
+  }
+  
+  return action === 'create' ? 'created' : 'updated';
+}
+
+/**
+ * 导入归档
+ * @param {string} userId - 当前用户
+ * @param {object} archive - 导出的 JSON 归档
+ * @param {{policy: string, dryRun: boolean, timezone?: string}} options - timezone 为用户时区
+ * @returns {Promise<object>} 导入报告
+ */
+async function importArchive(userId, archive, options) {
+  const today = getToday(options.timezone);
+  const calendar = await getUserTradingCalendar(userId);
+  const checkIns = await mergeCollection(CheckIn, userId, archive.checkIns, item => normalizeCheckIn(item, today), options, {
+    canUpdate: existing => canEditCheckIn(existing, calendar),
+    beforeUpdate: existing => recordCheckInHistory(existing, 'update')
+  });
+  const dailyRecords = await mergeCollection(DailyRecord, userId, archive.dailyRecords, normalizeDailyRecord, options);
+  const settings = await mergeSettings(userId, archive.settings, options);
+  
+  return {
+    dryRun: options.dryRun,
+    policy: options.policy,
+    checkIns,
+    dailyRecords,
+    settings
+  };
+}
+
+module.exports = {
+  IMPORT_POLICIES,
+  validateArchive,
+  importArchive
+};
@@ -0,0 +1,143 @@
+/**
+ * ========================================
+ * 用户本地日期工具
+ * ========================================
+ * 签到、每日记录都按 "YYYY-MM-DD" 字符串存日期，这个日期应该是用户所在时区的日期
+ * 直接用 new Date().toISOString() 得到的是 UTC 日期，
+ * 北京时间 08:00 之前会算成前一天，所以统一通过这里计算"今天"
+ *
+ * 用户时区保存在 User.profile.timezone（默认 Asia/Shanghai），
+ * 认证中间件会把它放到 req.user.timezone，路由里直接用 getToday(req.user.timezone)
+ */
+
+const { DEFAULT_TIMEZONE, isValidTimezone } = require('./profile');
+
+// 日期字符串格式
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// 按时区缓存格式化器，Intl.DateTimeFormat 创建开销比较大
+const formatters = new Map();
+
+function getFormatter(timezone) {
+  let formatter = formatters.get(timezone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit'
+    });
+    formatters.set(timezone, formatter);
+  }
+  return formatter;
+}
+
+/**
+ * 无效或为空的时区按默认时区处理
+ */
+function normalizeTimezone(timezone) {
+  return timezone && isValidTimezone(timezone) ? timezone : DEFAULT_TIMEZONE;
+}
+
+/**
+ * 某个时刻在指定时区的日期
+ * @param {Date} date
+ * @param {string} [timezone] - IANA 时区名，默认 Asia/Shanghai
+ * @returns {string} YYYY-MM-DD
+ */
+function formatLocalDate(date, timezone) {
+  const parts = {};
+  for (const part of getFormatter(normalizeTimezone(timezone)).formatToParts(date)) {
+    parts[part.type] = part.value;
+  }
+  return `${parts.year}-${parts.month}-${parts.day}`;
+}
+
+/**
+ * 用户所在时区的"今天"
+ * @param {string} [timezone] - IANA 时区名，默认 Asia/Shanghai
+ * @returns {string} YYYY-MM-DD
+ */
+function getToday(timezone) {
+  return formatLocalDate(new Date(), timezone);
+}
+
+/**
+ * 日期字符串加减天数（纯日历计算，与时区无关）
+ * @param {string} dateStr - YYYY-MM-DD
+ * @param {number} days - 负数表示往前推
+ * @returns {string} YYYY-MM-DD
+ */
+function addDays(dateStr, days) {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+/**
+ * 日期所在周的周一（纯日历计算）
+ * @param {string} dateStr - YYYY-MM-DD
+ * @returns {string} YYYY-MM-DD
+ */
+function getWeekStart(dateStr) {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+  return addDays(dateStr, -((weekday + 6) % 7));
+}
+
+/**
+ * 某个时区的当地时间 => 对应的时刻
+ * 比如 ('2024-01-15', '09:30', 'America/New_York') => 2024-01-15T14:30:00.000Z
+ * @param {string} dateStr - YYYY-MM-DD
+ * @param {string} time - HH:mm
+ * @param {string} [timezone] - IANA 时区名，默认 Asia/Shanghai
+ * @returns {Date}
+ */
+function zonedTimeToDate(dateStr, time, timezone) {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  const [hour, minute] = time.split(':').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+  
+  // 先按 UTC 猜一个时刻，算出该时区在这个时刻的偏移，再修正一次（处理夏令时切换）
+  let result = wallClock - getTimezoneOffset(new Date(wallClock), timezone);
+  result = wallClock - getTimezoneOffset(new Date(result), timezone);
+  return new Date(result);
+}
+
+/**
+ * 某个时刻指定时区相对 UTC 的偏移（毫秒），比如北京时间为 8 小时
+ */
+function getTimezoneOffset(date, timezone) {
+  const parts = {};
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: normalizeTimezone(timezone),
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  });
+  for (const part of formatter.formatToParts(date)) {
+    parts[part.type] = Number(part.value);
+  }
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * 判断是否为合法的日期字符串（格式正确且是真实存在的日期，比如不能是 2024-02-30）
+ */
+function isValidDateString(dateStr) {
+  return typeof dateStr === 'string' && DATE_PATTERN.test(dateStr) && addDays(dateStr, 0) === dateStr;
+}
+
+module.exports = {
+  normalizeTimezone,
+  formatLocalDate,
+  getToday,
+  addDays,
+  getWeekStart,
+  zonedTimeToDate,
+  isValidDateString
+};
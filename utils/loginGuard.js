@@ -0,0 +1,205 @@
+/**
+ * ========================================
+ * 登录防暴力破解工具
+ * ========================================
+ * 对密码登录的失败次数按 手机号 和 IP 分别计数：
+ * 1. 连续失败达到一定次数后，每次尝试前需要等待一段时间，且等待时间逐次翻倍
+ * 2. 同一手机号连续失败达到上限后，账号临时锁定（再次被锁定时锁定时间翻倍）
+ * 3. 同一 IP 失败次数过多时，该 IP 暂时不能再用密码登录
+ * 4. 密码登录成功、验证码登录成功或重置密码后，手机号的失败记录清零（可用短信验证码提前解锁）
+ */
+
+const LoginAttempt = require('../models/LoginAttempt');
+
+const LOGIN_LIMITS = {
+  // 同一手机号连续失败多少次后锁定账号
+  maxFailuresPerPhone: parseInt(process.env.LOGIN_MAX_FAILURES) || 5,
+  // 同一 IP 连续失败多少次后锁定该 IP
+  maxFailuresPerIp: parseInt(process.env.LOGIN_MAX_FAILURES_PER_IP) || 30,
+  // 从第几次失败开始需要等待
+  delayAfterFailures: 3,
+  // 第一次等待的秒数（之后每次翻倍）
+  baseDelaySeconds: 5,
+  // 第一次锁定的分钟数（之后每次翻倍）
+  lockMinutes: parseInt(process.env.LOGIN_LOCK_MINUTES) || 15,
+  // 最长锁定时间（小时）
+  maxLockHours: 24,
+  // 失败记录保留时间（小时），期间没有新的失败就自动清除
+  recordTtlHours: 24
+};
+
+// 错误码
+const LOGIN_GUARD_ERRORS = {
+  THROTTLED: 'LOGIN_THROTTLED',     // 失败次数较多，需要等待 retryAfter 秒后再试
+  ACCOUNT_LOCKED: 'ACCOUNT_LOCKED', // 账号已临时锁定，可以用短信验证码登录解锁
+  IP_LOCKED: 'IP_LOCKED'            // 当前 IP 失败次数过多，暂时不能用密码登录
+};
+
+function phoneKey(phone) {
+  return `phone:${phone}`;
+}
+
+function ipKey(ip) {
+  return `ip:${ip}`;
+}
+
+/**
+ * 距离某个时间点还有多少秒（向上取整）
+ */
+function secondsUntil(date) {
+  return Math.max(1, Math.ceil((date.getTime() - Date.now()) / 1000));
+}
+
+/**
+ * 登录前检查是否允许尝试
+ * @returns {Promise<{allowed: boolean, errorCode?: string, message?: string, retryAfter?: number}>}
+ */
+async function checkLoginAllowed(phone, ip) {
+  const now = new Date();
+  const records = await LoginAttempt.find({ key: { $in: [phoneKey(phone), ipKey(ip)] } });
+  const phoneRecord = records.find(r => r.key === phoneKey(phone));
+  const ipRecord = records.find(r => r.key === ipKey(ip));
+  
+  if (ipRecord && ipRecord.lockedUntil && ipRecord.lockedUntil > now) {
+    return {
+      allowed: false,
+      errorCode: LOGIN_GUARD_ERRORS.IP_LOCKED,
+      message: '登录失败次数过多，请稍后再试或使用验证码登录',
+      retryAfter: secondsUntil(ipRecord.lockedUntil)
+    };
+  }
+  
+  if (phoneRecord && phoneRecord.lockedUntil && phoneRecord.lockedUntil > now) {
+    return {
+      allowed: false,
+      errorCode: LOGIN_GUARD_ERRORS.ACCOUNT_LOCKED,
+      message: '账号已被临时锁定，请稍后再试或使用验证码登录解锁',
+      retryAfter: secondsUntil(phoneRecord.lockedUntil)
+    };
+  }
+  
+  if (phoneRecord && phoneRecord.nextAllowedAt && phoneRecord.nextAllowedAt > now) {
+    const retryAfter = secondsUntil(phoneRecord.nextAllowedAt);
+    return {
+      allowed: false,
+      errorCode: LOGIN_GUARD_ERRORS.THROTTLED,
+      message: `尝试太频繁，请 ${retryAfter} 秒后再试`,
+      retryAfter
+    };
+  }
+  
+  return { allowed: true };
+}
+
+/**
+ * 累加一条失败记录，达到上限时锁定
+ * 计数和锁定在一次原子更新里完成（更新管道），并发的失败请求不会互相覆盖
+ * @returns {Promise<LoginAttempt>} 更新后的记录
+ */
+async function increaseFailures(key, maxFailures) {
+  const now = new Date();
+  const ttlMs = LOGIN_LIMITS.recordTtlHours * 60 * 60 * 1000;
+  
+  const reachLimit = { $gte: ['$failures', maxFailures] };
+  // 锁定时长：逐次翻倍，不超过上限
+  const lockMs = {
+    $min: [
+      { $multiply: [LOGIN_LIMITS.lockMinutes * 60 * 1000, { $pow: [2, '$lockCount'] }] },
+      LOGIN_LIMITS.maxLockHours * 60 * 60 * 1000
+    ]
+  };
+  // 等待时长：从第 delayAfterFailures 次失败开始逐次翻倍
+  const delayMs = {
+    $multiply: [
+      LOGIN_LIMITS.baseDelaySeconds * 1000,
+      { $pow: [2, { $subtract: ['$failures', LOGIN_LIMITS.delayAfterFailures] }] }
+    ]
+  };
+  
+  return LoginAttempt.findOneAndUpdate(
+    { key },
+    [
+      {
+        $set: {
+          failures: { $add: [{ $ifNull: ['$failures', 0] }, 1] },
+          lockCount: { $ifNull: ['$lockCount', 0] },
+          expiresAt: new Date(now.getTime() + ttlMs)
+        }
+      },
+      // 达到上限：锁定，并把失败次数清零，解锁后重新计数
+      // 失败次数较多：下一次尝试前需要等待
+      {
+        $set: {
+          lockedUntil: { $cond: [reachLimit, { $add: [now, lockMs] }, { $ifNull: ['$lockedUntil', null] }] },
+          lockCount: { $cond: [reachLimit, { $add: ['$lockCount', 1] }, '$lockCount'] },
+          failures: { $cond: [reachLimit, 0, '$failures'] },
+          nextAllowedAt: {
+            $cond: [
+              reachLimit,
+              null,
+              {
+                $cond: [
+                  { $gte: ['$failures', LOGIN_LIMITS.delayAfterFailures] },
+                  { $add: [now, delayMs] },
+                  { $ifNull: ['$nextAllowedAt', null] }
+                ]
+              }
+            ]
+          }
+        }
+      },
+      // 锁定期间记录不能过期
+      {
+        $set: {
+          expiresAt: {
+            $cond: [
+              { $gt: ['$lockedUntil', '$expiresAt'] },
+              { $add: ['$lockedUntil', ttlMs] },
+              '$expiresAt'
+            ]
+          }
+        }
+      }
+    ],
+    { upsert: true, new: true, setDefaultsOnInsert: false }
+  );
+}
+
+/**
+ * 记录一次密码登录失败
+ * @returns {Promise<{remainingAttempts: number, locked: boolean, retryAfter: number}>}
+ *   remainingAttempts: 账号被锁定前还能尝试的次数
+ *   retryAfter: 下一次可以尝试前需要等待的秒数（0 表示可以立即重试）
+ */
+async function recordLoginFailure(phone, ip) {
+  const phoneRecord = await increaseFailures(phoneKey(phone), LOGIN_LIMITS.maxFailuresPerPhone);
+  if (ip) {
+    await increaseFailures(ipKey(ip), LOGIN_LIMITS.maxFailuresPerIp);
+  }
+  
+  const now = new Date();
+  const locked = !!(phoneRecord.lockedUntil && phoneRecord.lockedUntil > now);
+  const waitUntil = locked ? phoneRecord.lockedUntil : phoneRecord.nextAllowedAt;
+  
+  return {
+    remainingAttempts: locked ? 0 : LOGIN_LIMITS.maxFailuresPerPhone - phoneRecord.failures,
+    locked,
+    retryAfter: waitUntil && waitUntil > now ? secondsUntil(waitUntil) : 0
+  };
+}
+
+/**
+ * 清除手机号的失败记录（登录成功或通过短信验证后调用，同时解除账号锁定）
+ * IP 的记录不清除，避免攻击者用自己的账号登录成功来刷新 IP 的失败次数
+ */
+async function clearLoginFailures(phone) {
+  await LoginAttempt.deleteOne({ key: phoneKey(phone) });
+}
+
+module.exports = {
+  LOGIN_LIMITS,
+  LOGIN_GUARD_ERRORS,
+  checkLoginAllowed,
+  recordLoginFailure,
+  clearLoginFailures
+};
@@ -0,0 +1,310 @@
+/**
+ * ========================================
+ * 交易原则工具
+ * ========================================
+ * 用户在设置里选择预设原则、添加自定义原则（models/UserSettings.js），
+ * 签到时可以记录每条原则是否遵守，这里负责原则 ID、签到校验和遵守情况统计
+ *
+ * 原则 ID（key）：
+ * - 预设原则：preset-<序号>，原则文字由前端维护
+ * - 自定义原则：custom-<ObjectId>，保存在 UserSettings.customPrincipleIds，
+ *   修改原则文字时 ID 不变；删除后 ID 不再使用
+ *
+ * 签到记录同时保存自定义原则当时的文字，原则改名或删除后，历史签到和统计仍然能显示
+ */
+
+const mongoose = require('mongoose');
+const CheckIn = require('../models/CheckIn');
+const UserSettings = require('../models/UserSettings');
+const { addDays, getWeekStart } = require('./localDate');
+
+// 自定义原则 ID 格式
+const CUSTOM_KEY_PATTERN = /^custom-[0-9a-f]{24}$/;
+const PRESET_KEY_PATTERN = /^preset-(\d+)$/;
+
+// 趋势判断：后半段和前半段的遵守率相差超过这个值才算变好/变差
+const TREND_THRESHOLD = 0.05;
+
+// 统计一次最多查询的天数
+const MAX_REPORT_DAYS = 366;
+
+function presetKey(index) {
+  return `preset-${index}`;
+}
+
+function newCustomKey() {
+  return `custom-${new mongoose.Types.ObjectId()}`;
+}
+
+/**
+ * 是否为合法的原则 ID（preset-<序号> 或 custom-<ObjectId>）
+ */
+function isPrincipleKey(key) {
+  return typeof key === 'string' && (PRESET_KEY_PATTERN.test(key) || CUSTOM_KEY_PATTERN.test(key));
+}
+
+/**
+ * 遵守率（保留两位小数），没有记录时为 null
+ */
+function complianceRate(kept, total) {
+  return total > 0 ? Number((kept / total).toFixed(2)) : null;
+}
+
+/**
+ * 按周统计判断遵守率的变化：对比区间前半段和后半段
+ * @returns {'improving'|'declining'|'stable'|null} 任何一段没有记录时为 null
+ */
+function getTrendDirection(trend) {
+  const half = Math.floor(trend.length / 2);
+  const sum = (weeks) => weeks.reduce(
+    (acc, w) => ({ total: acc.total + w.total, kept: acc.kept + w.kept }),
+    { total: 0, kept: 0 }
+  );
+  const before = sum(trend.slice(0, half));
+  const after = sum(trend.slice(half));
+  
+  if (before.total === 0 || after.total === 0) {
+    return null;
+  }
+  
+  const diff = after.kept / after.total - before.kept / before.total;
+  if (diff > TREND_THRESHOLD) {
+    return 'improving';
+  }
+  if (diff < -TREND_THRESHOLD) {
+    return 'declining';
+  }
+  return 'stable';
+}
+
+/**
+ * 修改自定义原则列表，并保持 ID 不变
+ * 每一项可以是文字，也可以是 { id, text }：
+ * - 带 id 的按 id 对应（用于修改原则文字）
+ * - 只有文字的，和已有原则文字相同时沿用原来的 ID，否则作为新原则
+ *   有多条文字相同的原则时，按原来的顺序依次沿用它们的 ID
+ * @param {object} settings - UserSettings 文档
+ * @param {Array<string|{id?: string, text: string}>} items
+ */
+function updateCustomPrinciples(settings, items) {
+  const texts = [];
+  const ids = [];
+  const used = new Set();
+  
+  // 文字 => 这段文字已有的 ID（按原来的顺序）
+  const idsByText = new Map();
+  settings.customPrinciples.forEach((text, i) => {
+    const id = settings.customPrincipleIds[i];
+    if (id) {
+      idsByText.set(text, [...(idsByText.get(text) || []), id]);
+    }
+  });
+  const takeIdByText = (text) => {
+    const ids = idsByText.get(text) || [];
+    while (ids.length > 0) {
+      const id = ids.shift();
+      if (!used.has(id)) {
+        return id;
+      }
+    }
+    return undefined;
+  };
+  
+  for (const item of items) {
+    const raw = typeof item === 'string' ? item : item && item.text;
+    const text = typeof raw === 'string' ? raw.trim() : '';
+    if (!text) {
+      continue;
+    }
+    
+    let id = item && typeof item === 'object' && CUSTOM_KEY_PATTERN.test(item.id) ? item.id : takeIdByText(text);
+    if (!id || used.has(id)) {
+      id = newCustomKey();
+    }
+    used.add(id);
+    texts.push(text);
+    ids.push(id);
+  }
+  
+  settings.customPrinciples = texts;
+  settings.customPrincipleIds = ids;
+}
+
+/**
+ * 用户当前启用的原则（选中的预设原则 + 全部自定义原则）
+ * @param {object|null} settings - UserSettings 文档或 lean 对象，为空时按默认设置
+ * @returns {Array<{key: string, type: 'preset'|'custom', index: number|null, text: string|null}>}
+ */
+function listActivePrinciples(settings) {
+  const presets = settings ? settings.presetPrinciples || [] : [{ index: 0, isSelected: true }];
+  const customs = settings ? settings.customPrinciples || [] : [];
+  const ids = settings ? settings.customPrincipleIds || [] : [];
+  
+  return [
+    ...presets
+      .filter(p => p.isSelected)
+      .map(p => ({ key: presetKey(p.index), type: 'preset', index: p.index, text: null })),
+    ...customs
+      .map((text, i) => ({ key: ids[i], type: 'custom', index: null, text }))
+      .filter(p => p.key)
+  ];
+}
+
+/**
+ * 读取用户当前启用的原则，老数据缺少自定义原则 ID 时先补上
+ */
+async function getActivePrinciples(userId) {
+  const settings = await UserSettings.findOne({ userId });
+  if (settings && settings.customPrincipleIds.length !== settings.customPrinciples.length) {
+    await settings.save();
+  }
+  return listActivePrinciples(settings);
+}
+
+/**
+ * 校验签到提交的原则遵守情况
+ * 只能填写当前启用的原则；修改签到时，签到里原有的原则（可能已被删除）也可以保留
+ * @param {Array<{key: string, kept: boolean}>} input
+ * @param {string} userId
+ * @param {Array} [existing] - 签到里原有的原则记录
+ * @returns {Promise<{error: string}|{principles: Array<{key: string, text: string|null, kept: boolean}>}>}
+ */
+async function normalizePrinciples(input, userId, existing = []) {
+  if (!Array.isArray(input)) {
+    return { error: '交易原则必须是数组' };
+  }
+  if (input.length === 0) {
+    return { principles: [] };
+  }
+  
+  const texts = new Map(existing.map(p => [p.key, p.text || null]));
+  for (const principle of await getActivePrinciples(userId)) {
+    texts.set(principle.key, principle.text);
+  }
+  
+  const byKey = new Map();
+  for (const item of input) {
+    const key = item && item.key;
+    if (!texts.has(key)) {
+      return { error: `交易原则不存在：${key}` };
+    }
+    if (typeof item.kept !== 'boolean') {
+      return { error: 'kept 必须是 true（遵守）或 false（违反）' };
+    }
+    byKey.set(key, item.kept);
+  }
+  
+  return {
+    principles: Array.from(byKey, ([key, kept]) => ({ key, text: texts.get(key), kept }))
+  };
+}
+
+/**
+ * 每条原则的遵守情况统计
+ * @param {string} userId
+ * @param {string} from - 开始日期 YYYY-MM-DD（含）
+ * @param {string} to - 结束日期 YYYY-MM-DD（含）
+ */
+async function getPrinciplesReport(userId, from, to) {
+  const [active, records, violations] = await Promise.all([
+    getActivePrinciples(userId),
+    CheckIn.find({
+      userId,
+      date: { $gte: from, $lte: to },
+      'principles.0': { $exists: true }
+    }).select('date principles').sort({ date: 1 }).lean(),
+    // 最近一次违反的日期不限区间
+    CheckIn.aggregate([
+      { $match: { userId: new mongoose.Types.ObjectId(userId), 'principles.kept': false } },
+      { $unwind: '$principles' },
+      { $match: { 'principles.kept': false } },
+      { $group: { _id: '$principles.key', lastDate: { $max: '$date' } } }
+    ])
+  ]);
+  
+  // 区间内的每一周（周一开始）
+  const weeks = [];
+  for (let week = getWeekStart(from); week <= to; week = addDays(week, 7)) {
+    weeks.push(week);
+  }
+  
+  const lastViolations = new Map(violations.map(v => [v._id, v.lastDate]));
+  const stats = new Map();
+  
+  const addPrinciple = (principle, isActive) => {
+    const match = PRESET_KEY_PATTERN.exec(principle.key);
+    stats.set(principle.key, {
+      key: principle.key,
+      type: match ? 'preset' : 'custom',
+      index: match ? Number(match[1]) : null,
+      text: principle.text || null,
+      isActive,
+      total: 0,
+      kept: 0,
+      weeks: new Map(weeks.map(w => [w, { total: 0, kept: 0 }]))
+    });
+  };
+  
+  active.forEach(p => addPrinciple(p, true));
+  
+  for (const record of records) {
+    const week = getWeekStart(record.date);
+    for (const principle of record.principles) {
+      if (!principle.key) {
+        continue;
+      }
+      if (!stats.has(principle.key)) {
+        addPrinciple(principle, false);
+      }
+      
+      const item = stats.get(principle.key);
+      // 已删除的原则显示最后一次签到时的文字
+      if (!item.isActive && principle.text) {
+        item.text = principle.text;
+      }
+      item.total++;
+      item.weeks.get(week).total++;
+      if (principle.kept) {
+        item.kept++;
+        item.weeks.get(week).kept++;
+      }
+    }
+  }
+  
+  return {
+    from,
+    to,
+    checkIns: records.length,
+    principles: Array.from(stats.values()).map(item => {
+      const trend = weeks.map(week => {
+        const { total, kept } = item.weeks.get(week);
+        return { weekStart: week, total, kept, complianceRate: complianceRate(kept, total) };
+      });
+      
+      return {
+        key: item.key,
+        type: item.type,
+        index: item.index,
+        text: item.text,
+        isActive: item.isActive,
+        total: item.total,
+        kept: item.kept,
+        broken: item.total - item.kept,
+        complianceRate: complianceRate(item.kept, item.total),
+        lastViolationDate: lastViolations.get(item.key) || null,
+        trend,
+        trendDirection: getTrendDirection(trend)
+      };
+    })
+  };
+}
+
+module.exports = {
+  MAX_REPORT_DAYS,
+  isPrincipleKey,
+  updateCustomPrinciples,
+  listActivePrinciples,
+  getActivePrinciples,
+  normalizePrinciples,
+  getPrinciplesReport
+};
@@ -0,0 +1,142 @@
+/**
+ * ========================================
+ * 用户资料工具
+ * ========================================
+ * 统一定义用户资料（User.profile）各字段的可选值，以及格式化、校验方法
+ * 其他功能（比如默认模板、按用户时区计算日期）通过 getUserProfile 读取用户资料
+ */
+
+const User = require('../models/User');
+const { getAvatarStorage } = require('./avatarStorage');
+
+// 默认时区（老用户、没有设置时区的用户）
+const DEFAULT_TIMEZONE = 'Asia/Shanghai';
+
+// 关注的市场
+const MARKETS = {
+  A_SHARE: 'a-share',
+  HK: 'hk',
+  US: 'us',
+  FUTURES: 'futures'
+};
+
+const MARKET_LABELS = {
+  [MARKETS.A_SHARE]: 'A股',
+  [MARKETS.HK]: '港股',
+  [MARKETS.US]: '美股',
+  [MARKETS.FUTURES]: '期货'
+};
+
+// 交易风格
+const TRADING_STYLES = {
+  LIMIT_UP: 'limit-up',
+  DIP: 'dip',
+  TREND: 'trend',
+  SWING: 'swing'
+};
+
+const TRADING_STYLE_LABELS = {
+  [TRADING_STYLES.LIMIT_UP]: '打板',
+  [TRADING_STYLES.DIP]: '低吸',
+  [TRADING_STYLES.TREND]: '趋势',
+  [TRADING_STYLES.SWING]: '波段'
+};
+
+// 交易年限上限
+const MAX_EXPERIENCE_YEARS = 60;
+
+/**
+ * 判断是否为有效的 IANA 时区名（比如 Asia/Shanghai、America/New_York）
+ */
+function isValidTimezone(timezone) {
+  if (typeof timezone !== 'string' || !timezone.trim()) {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * 把用户资料整理成接口返回的格式（补上默认值，头像转成访问地址）
+ * @param {object} user - 用户文档（可以是 lean 对象）
+ */
+function formatProfile(user) {
+  const profile = (user && user.profile) || {};
+  return {
+    avatarUrl: profile.avatar ? getAvatarStorage().getUrl(profile.avatar) : null,
+    timezone: profile.timezone || DEFAULT_TIMEZONE,
+    markets: profile.markets || [],
+    tradingStyle: profile.tradingStyle || null,
+    yearsOfExperience: profile.yearsOfExperience ?? null
+  };
+}
+
+/**
+ * 读取某个用户的资料（已补上默认值）
+ * @returns {Promise<null|object>} 用户不存在时返回 null
+ */
+async function getUserProfile(userId) {
+  const user = await User.findById(userId).select('profile').lean();
+  return user ? formatProfile(user) : null;
+}
+
+/**
+ * 校验资料修改请求，生成数据库更新内容
+ * 只修改请求里出现的字段；传 null 表示清空（时区清空后恢复默认时区）
+ * 头像单独通过上传接口修改，这里不处理
+ * @returns {{error: string}|{update: object}}
+ */
+function buildProfileUpdate(body) {
+  const update = {};
+  
+  if (body.timezone !== undefined) {
+    if (body.timezone === null) {
+      update['profile.timezone'] = DEFAULT_TIMEZONE;
+    } else if (!isValidTimezone(body.timezone)) {
+      return { error: '时区格式不正确，请使用 IANA 时区名，比如 Asia/Shanghai' };
+    } else {
+      update['profile.timezone'] = body.timezone.trim();
+    }
+  }
+  
+  if (body.markets !== undefined) {
+    const markets = body.markets === null ? [] : body.markets;
+    if (!Array.isArray(markets) || markets.some(m => !MARKET_LABELS[m])) {
+      return { error: `关注市场只能是 ${Object.values(MARKETS).join(' / ')}` };
+    }
+    update['profile.markets'] = [...new Set(markets)];
+  }
+  
+  if (body.tradingStyle !== undefined) {
+    if (body.tradingStyle !== null && !TRADING_STYLE_LABELS[body.tradingStyle]) {
+      return { error: `交易风格只能是 ${Object.values(TRADING_STYLES).join(' / ')}` };
+    }
+    update['profile.tradingStyle'] = body.tradingStyle;
+  }
+  
+  if (body.yearsOfExperience !== undefined) {
+    const years = body.yearsOfExperience;
+    if (years !== null && (!Number.isInteger(years) || years < 0 || years > MAX_EXPERIENCE_YEARS)) {
+      return { error: `交易年限必须是 0-${MAX_EXPERIENCE_YEARS} 之间的整数` };
+    }
+    update['profile.yearsOfExperience'] = years;
+  }
+  
+  return { update };
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  MARKETS,
+  MARKET_LABELS,
+  TRADING_STYLES,
+  TRADING_STYLE_LABELS,
+  isValidTimezone,
+  formatProfile,
+  getUserProfile,
+  buildProfileUpdate
+};
@@ -1,235 +1,220 @@
 /**
  * ========================================
- * 阿里云短信服务工具
+ * 短信验证码工具
  * ========================================
- * 用于发送短信验证码
+ * 用于发送和校验短信验证码
+ * 验证码哈希后存放在 MongoDB（见 models/VerificationCode.js），有效期 5 分钟
+ * 具体通过哪个短信通道发送（阿里云/腾讯云/模拟/本地网关）见 utils/smsProviders
  */
 
 const crypto = require('crypto');
-const https = require('https');
-
-// 模拟模式：仅当明确为 'false'（字符串）时关闭，其余情况均为模拟
-const _smsMockEnv = (process.env.SMS_MOCK_MODE || '').toLowerCase();
-const USE_MOCK_MODE = _smsMockEnv !== 'false' && _smsMockEnv !== '0';
-
-// 阿里云短信配置（从环境变量读取，确保安全）
-const SMS_CONFIG = {
-  accessKeyId: process.env.SMS_ACCESS_KEY_ID,
-  accessKeySecret: process.env.SMS_ACCESS_KEY_SECRET,
-  signName: process.env.SMS_SIGN_NAME || '',
-  templateCode: process.env.SMS_TEMPLATE_CODE || '',
-  // 模板变量名，需与阿里云模板里的变量一致（常见为 code 或 verification_code）
-  templateParamName: process.env.SMS_TEMPLATE_PARAM_NAME || 'code'
+const VerificationCode = require('../models/VerificationCode');
+const { getActiveProvider } = require('./smsProviders');
+
+// 验证码用途：同一手机号不同用途的验证码互不影响
+// register: 注册  login: 登录  reset: 找回密码  change-phone: 更换手机号  delete-account: 注销账号
+const SMS_PURPOSES = {
+  REGISTER: 'register',
+  LOGIN: 'login',
+  RESET: 'reset',
+  CHANGE_PHONE: 'change-phone',
+  DELETE_ACCOUNT: 'delete-account'
 };
 
-// 存储验证码（实际生产环境应该用 Redis）
-const verificationCodes = new Map();
+// 验证码有效期（毫秒）
+const CODE_TTL_MS = 5 * 60 * 1000;
+
+// 每个验证码最多允许输错的次数，超过后验证码作废，需要重新获取
+const MAX_VERIFY_ATTEMPTS = parseInt(process.env.SMS_CODE_MAX_ATTEMPTS) || 5;
+
+// 通道健康检查结果的缓存时间（毫秒），短信状态接口不用登录，避免每次请求都去访问短信通道
+const HEALTH_CACHE_MS = 60 * 1000;
+
+// 最近一次健康检查：{ provider, promise, checkedAt }（缓存 Promise，同时到达的请求共用一次检查）
+let healthCache = null;
+
+// 计算验证码哈希用的密钥（验证码存在数据库里，只保存哈希值）
+const CODE_HASH_SECRET = process.env.SMS_CODE_SECRET || process.env.JWT_SECRET || 'trading-mind-sms';
 
 /**
- * 生成6位随机验证码
+ * 计算验证码的哈希值
+ * 把手机号和用途也算进去，同一个验证码在不同手机号/用途下哈希值不同
  */
-function generateCode() {
-  return Math.floor(100000 + Math.random() * 900000).toString();
+function hashCode(phone, purpose, code) {
+  return crypto
+    .createHmac('sha256', CODE_HASH_SECRET)
+    .update(`${purpose}:${phone}:${code}`)
+    .digest('hex');
 }
 
 /**
- * 阿里云API签名
+ * 保存验证码（覆盖该手机号同用途的旧验证码），5分钟有效
  */
-function sign(params, secret) {
-  // 1. 按参数名排序
-  const sortedKeys = Object.keys(params).sort();
-  
-  // 2. 构造待签名字符串
-  const stringToSign = sortedKeys
-    .map(key => `${encodeURIComponent(key)}=${encodeURIComponent(params[key])}`)
-    .join('&');
-  
-  // 3. 计算签名
-  const hmac = crypto.createHmac('sha1', secret + '&');
-  hmac.update('GET&%2F&' + encodeURIComponent(stringToSign));
-  return hmac.digest('base64');
+async function saveCode(phone, purpose, code) {
+  await VerificationCode.findOneAndUpdate(
+    { phone, purpose },
+    {
+      codeHash: hashCode(phone, purpose, code),
+      attempts: 0,
+      expiresAt: new Date(Date.now() + CODE_TTL_MS),
+      createdAt: new Date()
+    },
+    { upsert: true }
+  );
+}
+
+/**
+ * 生成6位随机验证码
+ */
+function generateCode() {
+  return Math.floor(100000 + Math.random() * 900000).toString();
 }
 
 /**
  * 发送短信验证码
  * @param {string} phone - 手机号
- * @returns {Promise<{success: boolean, message: string, code?: string}>}
+ * @param {string} [purpose='login'] - 验证码用途，见 SMS_PURPOSES
+ * @returns {Promise<{success: boolean, message: string}>}
  */
-async function sendSmsCode(phone) {
-  return new Promise((resolve) => {
-    try {
-      // ========== 模拟模式 ==========
-      // 验证码固定为 123456，方便测试
-      if (USE_MOCK_MODE) {
-        const mockCode = '123456';
-        console.log(`[模拟模式] 手机号: ${phone}, 验证码: ${mockCode}`);
-        
-        // 存储验证码，5分钟有效
-        verificationCodes.set(phone, {
-          code: mockCode,
-          expireAt: Date.now() + 5 * 60 * 1000
-        });
-        
-        return resolve({
-          success: true,
-          message: '验证码已发送（测试模式：123456）'
-        });
-      }
-      
-      // ========== 正式模式（阿里云短信） ==========
-      // 检查配置是否完整
-      if (!SMS_CONFIG.accessKeyId || !SMS_CONFIG.accessKeySecret) {
-        console.error('短信配置缺失，请在环境变量中配置 SMS_ACCESS_KEY_ID 和 SMS_ACCESS_KEY_SECRET');
-        return resolve({
-          success: false,
-          message: '短信服务未配置'
-        });
-      }
-      if (!SMS_CONFIG.signName || !SMS_CONFIG.templateCode) {
-        console.error('短信配置缺失，请配置 SMS_SIGN_NAME 和 SMS_TEMPLATE_CODE');
-        return resolve({
-          success: false,
-          message: '短信服务未配置'
-        });
-      }
-      
-      // 生成验证码
-      const code = generateCode();
-      const templateParam = { [SMS_CONFIG.templateParamName]: code };
-      
-      // 构造请求参数
-      const params = {
-        AccessKeyId: SMS_CONFIG.accessKeyId,
-        Action: 'SendSms',
-        Format: 'JSON',
-        PhoneNumbers: phone,
-        SignName: SMS_CONFIG.signName,
-        SignatureMethod: 'HMAC-SHA1',
-        SignatureNonce: Math.random().toString(36).substring(2),
-        SignatureVersion: '1.0',
-        TemplateCode: SMS_CONFIG.templateCode,
-        TemplateParam: JSON.stringify(templateParam),
-        Timestamp: new Date().toISOString().replace(/\.\d{3}/, ''),
-        Version: '2017-05-25'
-      };
-      
-      // 计算签名
-      params.Signature = sign(params, SMS_CONFIG.accessKeySecret);
-      
-      // 构造请求URL
-      const queryString = Object.keys(params)
-        .map(key => `${encodeURIComponent(key)}=${encodeURIComponent(params[key])}`)
-        .join('&');
-      
-      const options = {
-        hostname: 'dysmsapi.aliyuncs.com',
-        path: '/?' + queryString,
-        method: 'GET'
-      };
-      
-      // 发送请求
-      const req = https.request(options, (res) => {
-        let data = '';
-        res.on('data', chunk => data += chunk);
-        res.on('end', () => {
-          try {
-            const result = JSON.parse(data);
-            console.log('阿里云短信响应:', result);
-            
-            if (result.Code === 'OK') {
-              // 存储验证码，5分钟有效
-              verificationCodes.set(phone, {
-                code: code,
-                expireAt: Date.now() + 5 * 60 * 1000
-              });
-              
-              resolve({
-                success: true,
-                message: '验证码已发送'
-              });
-            } else {
-              resolve({
-                success: false,
-                message: result.Message || '发送失败'
-              });
-            }
-          } catch (e) {
-            resolve({
-              success: false,
-              message: '解析响应失败'
-            });
-          }
-        });
-      });
-      
-      req.on('error', (error) => {
-        console.error('发送短信错误:', error);
-        resolve({
-          success: false,
-          message: '网络错误'
-        });
-      });
-      
-      req.end();
-      
-    } catch (error) {
-      console.error('发送短信异常:', error);
-      resolve({
-        success: false,
-        message: '发送失败'
-      });
+async function sendSmsCode(phone, purpose = SMS_PURPOSES.LOGIN) {
+  const provider = getActiveProvider();
+  
+  try {
+    // 生成验证码（模拟通道使用固定验证码）
+    const code = provider.fixedCode || generateCode();
+    const result = await provider.send(phone, code, purpose);
+    
+    // 发送成功后再保存验证码
+    if (result.success) {
+      await saveCode(phone, purpose, code);
     }
-  });
+    
+    return {
+      success: result.success,
+      message: result.message
+    };
+    
+  } catch (error) {
+    console.error('发送短信异常:', error);
+    return {
+      success: false,
+      message: '发送失败'
+    };
+  }
 }
 
 /**
  * 验证短信验证码
+ * 验证成功后验证码立即作废；输错达到上限后验证码也会作废
  * @param {string} phone - 手机号
  * @param {string} code - 验证码
- * @returns {{success: boolean, message: string}}
+ * @param {string} [purpose='login'] - 验证码用途，需与发送时一致
+ * @returns {Promise<{success: boolean, message: string}>}
  */
-function verifySmsCode(phone, code) {
-  const stored = verificationCodes.get(phone);
+async function verifySmsCode(phone, code, purpose = SMS_PURPOSES.LOGIN) {
+  const stored = await VerificationCode.findOne({ phone, purpose });
   
   if (!stored) {
     return { success: false, message: '请先获取验证码' };
   }
   
-  if (Date.now() > stored.expireAt) {
-    verificationCodes.delete(phone);
+  // TTL 索引的清理有延迟，这里再判断一次
+  if (Date.now() > stored.expiresAt.getTime()) {
+    await VerificationCode.deleteOne({ _id: stored._id });
     return { success: false, message: '验证码已过期，请重新获取' };
   }
   
-  if (stored.code !== code) {
-    return { success: false, message: '验证码错误' };
+  if (stored.attempts >= MAX_VERIFY_ATTEMPTS) {
+    await VerificationCode.deleteOne({ _id: stored._id });
+    return { success: false, message: '验证码错误次数过多，请重新获取' };
+  }
+  
+  // 用定长比较，避免通过响应时间猜测验证码
+  const inputHash = Buffer.from(hashCode(phone, purpose, String(code)));
+  const storedHash = Buffer.from(stored.codeHash);
+  const isMatch = inputHash.length === storedHash.length && crypto.timingSafeEqual(inputHash, storedHash);
+  
+  if (!isMatch) {
+    // 原子地累加错误次数，防止并发请求绕过次数限制
+    const updated = await VerificationCode.findOneAndUpdate(
+      { _id: stored._id, attempts: { $lt: MAX_VERIFY_ATTEMPTS } },
+      { $inc: { attempts: 1 } },
+      { new: true }
+    );
+    
+    const remaining = updated ? MAX_VERIFY_ATTEMPTS - updated.attempts : 0;
+    if (remaining <= 0) {
+      await VerificationCode.deleteOne({ _id: stored._id });
+      return { success: false, message: '验证码错误次数过多，请重新获取' };
+    }
+    return { success: false, message: `验证码错误，还可以尝试 ${remaining} 次` };
   }
   
   // 验证成功后删除验证码
-  verificationCodes.delete(phone);
+  // 带上次数条件：并发请求中如果错误次数已经用完，正确的验证码也不再生效
+  const consumed = await VerificationCode.findOneAndDelete({
+    _id: stored._id,
+    attempts: { $lt: MAX_VERIFY_ATTEMPTS }
+  });
+  if (!consumed) {
+    return { success: false, message: '验证码已失效，请重新获取' };
+  }
+  
   return { success: true, message: '验证成功' };
 }
 
-// 启动时打印当前短信模式（便于确认是否接入真实短信）
+// 启动时打印当前短信通道（便于确认是否接入真实短信）
 if (typeof process !== 'undefined' && process.env && process.env.NODE_ENV !== 'test') {
-  const mode = USE_MOCK_MODE ? '模拟（验证码固定 123456）' : '阿里云真实短信';
-  console.log('[短信] SMS_MOCK_MODE=', process.env.SMS_MOCK_MODE, '=> 当前模式:', mode);
+  const provider = getActiveProvider();
+  console.log('[短信] SMS_PROVIDER=', process.env.SMS_PROVIDER, 'SMS_MOCK_MODE=', process.env.SMS_MOCK_MODE, '=> 当前通道:', provider.label);
+}
+
+/**
+ * 通道健康检查，结果缓存 HEALTH_CACHE_MS
+ * @returns {Promise<{healthy: boolean, message: string}>}
+ */
+function checkProviderHealth(provider) {
+  if (healthCache && healthCache.provider === provider.name
+    && Date.now() - healthCache.checkedAt < HEALTH_CACHE_MS) {
+    return healthCache.promise;
+  }
+  
+  const promise = Promise.resolve()
+    .then(() => provider.healthCheck())
+    .catch((error) => {
+      console.error('短信通道健康检查出错:', error);
+      return { healthy: false, message: '健康检查失败' };
+    });
+  
+  healthCache = { provider: provider.name, promise, checkedAt: Date.now() };
+  return promise;
 }
 
-/** 获取短信配置状态（不暴露密钥，仅用于排查 Render 环境变量是否生效） */
-function getSmsStatus() {
+/**
+ * 获取短信配置状态（不暴露密钥，仅用于排查 Render 环境变量是否生效）
+ * 包含当前通道名称、配置是否完整，以及通道健康检查结果（缓存 1 分钟）
+ */
+async function getSmsStatus() {
+  const provider = getActiveProvider();
   const raw = process.env.SMS_MOCK_MODE || '';
+  const configStatus = provider.getConfigStatus();
+  const health = await checkProviderHealth(provider);
+  
   return {
-    mockMode: USE_MOCK_MODE,
+    provider: provider.name,
+    providerLabel: provider.label,
+    mockMode: provider.name === 'mock',
+    rawSMS_PROVIDER: process.env.SMS_PROVIDER || '(未设置)',
     rawSMS_MOCK_MODE: raw === '' ? '(未设置)' : raw,
-    hasAccessKey: !!SMS_CONFIG.accessKeyId,
-    hasSecret: !!SMS_CONFIG.accessKeySecret,
-    hasSignName: !!SMS_CONFIG.signName,
-    hasTemplateCode: !!SMS_CONFIG.templateCode,
-    smsReady: !USE_MOCK_MODE && !!SMS_CONFIG.accessKeyId && !!SMS_CONFIG.accessKeySecret && !!SMS_CONFIG.signName && !!SMS_CONFIG.templateCode
+    config: configStatus,
+    healthy: health.healthy,
+    healthMessage: health.message,
+    smsReady: provider.name !== 'mock' && configStatus.configured && health.healthy
   };
 }
 
 module.exports = {
+  SMS_PURPOSES,
   sendSmsCode,
   verifySmsCode,
   generateCode,
@@ -0,0 +1,183 @@
+/**
+ * ========================================
+ * 短信发送防刷工具
+ * ========================================
+ * 在发送验证码之前依次检查：
+ * 1. 同一手机号的重发冷却时间（默认 60 秒）
+ * 2. 同一手机号 24 小时内的发送上限（默认 10 条）
+ * 3. 同一 IP 24 小时内的发送上限（默认 30 条）
+ * 4. 发送次数达到阈值后，要求先通过人机验证（需配置 CAPTCHA_VERIFY_URL）
+ *
+ * 检查和占用额度是同一步（reserveSmsSend），并发请求不会一起绕过限制
+ * 每种限制都有自己的错误码（errorCode），前端据此展示倒计时或弹出验证
+ */
+
+const SmsSendLog = require('../models/SmsSendLog');
+const SmsCooldown = require('../models/SmsCooldown');
+const { isCaptchaEnabled, verifyCaptchaToken } = require('./captcha');
+
+/**
+ * 读取非负整数配置，没有配置或格式错误时使用默认值（可以配置为 0）
+ */
+function readLimit(name, defaultValue) {
+  const parsed = parseInt(process.env[name]);
+  return Number.isNaN(parsed) ? defaultValue : Math.max(parsed, 0);
+}
+
+const SMS_LIMITS = {
+  // 同一手机号两次发送的最小间隔（秒）
+  resendCooldownSeconds: readLimit('SMS_RESEND_COOLDOWN_SECONDS', 60),
+  // 同一手机号 24 小时内最多发送条数
+  dailyLimitPerPhone: readLimit('SMS_DAILY_LIMIT_PER_PHONE', 10),
+  // 同一 IP 24 小时内最多发送条数
+  dailyLimitPerIp: readLimit('SMS_DAILY_LIMIT_PER_IP', 30),
+  // 手机号或 IP 24 小时内发送达到这个次数后，需要人机验证
+  captchaThreshold: readLimit('SMS_CAPTCHA_THRESHOLD', 3)
+};
+
+// 错误码
+const SMS_LIMIT_ERRORS = {
+  COOLDOWN: 'SMS_COOLDOWN',                     // 冷却中，retryAfter 秒后可重发
+  PHONE_DAILY_LIMIT: 'SMS_PHONE_DAILY_LIMIT',   // 该手机号今日发送次数已用完
+  IP_DAILY_LIMIT: 'SMS_IP_DAILY_LIMIT',         // 该 IP 今日发送次数已用完
+  CAPTCHA_REQUIRED: 'CAPTCHA_REQUIRED',         // 需要先完成人机验证
+  CAPTCHA_INVALID: 'CAPTCHA_INVALID'            // 人机验证未通过
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 计算距离最早一条记录滑出 24 小时窗口还有多少秒
+ */
+function secondsUntilWindowFrees(oldestLog) {
+  if (!oldestLog) {
+    return 0;
+  }
+  return Math.max(1, Math.ceil((oldestLog.createdAt.getTime() + DAY_MS - Date.now()) / 1000));
+}
+
+/**
+ * 占用手机号的重发冷却时间
+ * 冷却已结束（或从未发送过）时原子地把 lockedUntil 推到冷却结束时间；
+ * 冷却中时条件不满足，upsert 会因为手机号唯一索引冲突而失败
+ * @returns {Promise<{lockedUntil: Date}|{retryAfter: number}>}
+ */
+async function acquireCooldown(phone, now) {
+  const lockedUntil = new Date(now + SMS_LIMITS.resendCooldownSeconds * 1000);
+  try {
+    await SmsCooldown.findOneAndUpdate(
+      { phone, lockedUntil: { $lte: new Date(now) } },
+      { $set: { lockedUntil } },
+      { upsert: true }
+    );
+    return { lockedUntil };
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+    const current = await SmsCooldown.findOne({ phone }).lean();
+    const remaining = current ? (current.lockedUntil.getTime() - now) / 1000 : 0;
+    return { retryAfter: Math.max(1, Math.ceil(remaining)) };
+  }
+}
+
+/**
+ * 释放冷却时间（只释放自己占用的那一次，避免覆盖其他请求）
+ */
+async function releaseCooldown(phone, lockedUntil) {
+  await SmsCooldown.updateOne({ phone, lockedUntil }, { $set: { lockedUntil: new Date(0) } });
+}
+
+/**
+ * 检查并占用一次发送额度，通过后才能调用短信通道
+ * 1. 原子地占用手机号的冷却时间，同一手机号的并发请求只有一个能通过
+ * 2. 先写入发送记录，再统计 24 小时内的条数（包含自己），超出上限就删除自己的记录
+ *    并发请求最多一起被拒绝，不会一起超出上限
+ * 被拒绝时已占用的冷却和记录都会撤回；发送失败时调用 releaseSmsSend 撤回
+ * @param {{phone: string, ip: string, purpose: string, captchaToken?: string}} params
+ * @returns {Promise<{allowed: boolean, errorCode?: string, message?: string, retryAfter?: number, reservation?: object}>}
+ */
+async function reserveSmsSend({ phone, ip, purpose, captchaToken }) {
+  const now = Date.now();
+  const windowStart = new Date(now - DAY_MS);
+  
+  // 1. 重发冷却
+  const cooldown = await acquireCooldown(phone, now);
+  if (cooldown.retryAfter) {
+    return {
+      allowed: false,
+      errorCode: SMS_LIMIT_ERRORS.COOLDOWN,
+      message: `发送太频繁，请 ${cooldown.retryAfter} 秒后再试`,
+      retryAfter: cooldown.retryAfter
+    };
+  }
+  
+  const log = await SmsSendLog.create({ phone, ip: ip || '', purpose: purpose || '' });
+  const reservation = { phone, lockedUntil: cooldown.lockedUntil, logId: log._id };
+  
+  const reject = async (result) => {
+    await releaseSmsSend(reservation);
+    return { allowed: false, ...result };
+  };
+  
+  // 2. 手机号 24 小时上限（包含刚写入的这一条）
+  const phoneCount = await SmsSendLog.countDocuments({ phone, createdAt: { $gte: windowStart } });
+  if (phoneCount > SMS_LIMITS.dailyLimitPerPhone) {
+    const oldest = await SmsSendLog.findOne({ phone, createdAt: { $gte: windowStart } }).sort({ createdAt: 1 });
+    return reject({
+      errorCode: SMS_LIMIT_ERRORS.PHONE_DAILY_LIMIT,
+      message: '该手机号今日获取验证码次数已达上限',
+      retryAfter: secondsUntilWindowFrees(oldest)
+    });
+  }
+  
+  // 3. IP 24 小时上限
+  const ipCount = ip ? await SmsSendLog.countDocuments({ ip, createdAt: { $gte: windowStart } }) : 0;
+  if (ip && ipCount > SMS_LIMITS.dailyLimitPerIp) {
+    const oldest = await SmsSendLog.findOne({ ip, createdAt: { $gte: windowStart } }).sort({ createdAt: 1 });
+    return reject({
+      errorCode: SMS_LIMIT_ERRORS.IP_DAILY_LIMIT,
+      message: '当前网络获取验证码次数过多，请明天再试',
+      retryAfter: secondsUntilWindowFrees(oldest)
+    });
+  }
+  
+  // 4. 达到阈值后需要人机验证（按这次之前已发送的条数判断）
+  const needCaptcha = isCaptchaEnabled() &&
+    Math.max(phoneCount, ipCount) - 1 >= SMS_LIMITS.captchaThreshold;
+  
+  if (needCaptcha) {
+    if (!captchaToken) {
+      return reject({
+        errorCode: SMS_LIMIT_ERRORS.CAPTCHA_REQUIRED,
+        message: '请先完成安全验证'
+      });
+    }
+    
+    if (!(await verifyCaptchaToken(captchaToken, ip))) {
+      return reject({
+        errorCode: SMS_LIMIT_ERRORS.CAPTCHA_INVALID,
+        message: '安全验证未通过，请重试'
+      });
+    }
+  }
+  
+  return { allowed: true, reservation };
+}
+
+/**
+ * 撤回占用的发送额度（短信发送失败时调用）：删除发送记录，释放冷却时间
+ */
+async function releaseSmsSend(reservation) {
+  await Promise.all([
+    SmsSendLog.deleteOne({ _id: reservation.logId }),
+    releaseCooldown(reservation.phone, reservation.lockedUntil)
+  ]);
+}
+
+module.exports = {
+  SMS_LIMITS,
+  SMS_LIMIT_ERRORS,
+  reserveSmsSend,
+  releaseSmsSend
+};
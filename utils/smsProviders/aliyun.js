@@ -0,0 +1,124 @@
+/**
+ * ========================================
+ * 阿里云短信通道
+ * ========================================
+ * 调用 dysmsapi.aliyuncs.com 的 SendSms 接口发送验证码
+ * 配置方法见 docs/阿里云短信接入说明.md
+ */
+
+const crypto = require('crypto');
+const { request } = require('./http');
+
+// 阿里云短信配置（从环境变量读取，确保安全）
+const SMS_CONFIG = {
+  accessKeyId: process.env.SMS_ACCESS_KEY_ID,
+  accessKeySecret: process.env.SMS_ACCESS_KEY_SECRET,
+  signName: process.env.SMS_SIGN_NAME || '',
+  templateCode: process.env.SMS_TEMPLATE_CODE || '',
+  // 模板变量名，需与阿里云模板里的变量一致（常见为 code 或 verification_code）
+  templateParamName: process.env.SMS_TEMPLATE_PARAM_NAME || 'code'
+};
+
+/**
+ * 阿里云API签名
+ */
+function sign(params, secret) {
+  // 1. 按参数名排序
+  const sortedKeys = Object.keys(params).sort();
+  
+  // 2. 构造待签名字符串
+  const stringToSign = sortedKeys
+    .map(key => `${encodeURIComponent(key)}=${encodeURIComponent(params[key])}`)
+    .join('&');
+  
+  // 3. 计算签名
+  const hmac = crypto.createHmac('sha1', secret + '&');
+  hmac.update('GET&%2F&' + encodeURIComponent(stringToSign));
+  return hmac.digest('base64');
+}
+
+function getConfigStatus() {
+  return {
+    configured: !!SMS_CONFIG.accessKeyId && !!SMS_CONFIG.accessKeySecret &&
+      !!SMS_CONFIG.signName && !!SMS_CONFIG.templateCode,
+    hasAccessKey: !!SMS_CONFIG.accessKeyId,
+    hasSecret: !!SMS_CONFIG.accessKeySecret,
+    hasSignName: !!SMS_CONFIG.signName,
+    hasTemplateCode: !!SMS_CONFIG.templateCode
+  };
+}
+
+async function send(phone, code) {
+  // 检查配置是否完整
+  if (!SMS_CONFIG.accessKeyId || !SMS_CONFIG.accessKeySecret) {
+    console.error('短信配置缺失，请在环境变量中配置 SMS_ACCESS_KEY_ID 和 SMS_ACCESS_KEY_SECRET');
+    return { success: false, message: '短信服务未配置' };
+  }
+  if (!SMS_CONFIG.signName || !SMS_CONFIG.templateCode) {
+    console.error('短信配置缺失，请配置 SMS_SIGN_NAME 和 SMS_TEMPLATE_CODE');
+    return { success: false, message: '短信服务未配置' };
+  }
+  
+  const templateParam = { [SMS_CONFIG.templateParamName]: code };
+  
+  // 构造请求参数
+  const params = {
+    AccessKeyId: SMS_CONFIG.accessKeyId,
+    Action: 'SendSms',
+    Format: 'JSON',
+    PhoneNumbers: phone,
+    SignName: SMS_CONFIG.signName,
+    SignatureMethod: 'HMAC-SHA1',
+    SignatureNonce: Math.random().toString(36).substring(2),
+    SignatureVersion: '1.0',
+    TemplateCode: SMS_CONFIG.templateCode,
+    TemplateParam: JSON.stringify(templateParam),
+    Timestamp: new Date().toISOString().replace(/\.\d{3}/, ''),
+    Version: '2017-05-25'
+  };
+  
+  // 计算签名
+  params.Signature = sign(params, SMS_CONFIG.accessKeySecret);
+  
+  // 构造请求URL
+  const queryString = Object.keys(params)
+    .map(key => `${encodeURIComponent(key)}=${encodeURIComponent(params[key])}`)
+    .join('&');
+  
+  let response;
+  try {
+    response = await request('https://dysmsapi.aliyuncs.com/?' + queryString);
+  } catch (error) {
+    console.error('发送短信错误:', error);
+    return { success: false, message: '网络错误' };
+  }
+  
+  try {
+    const result = JSON.parse(response.body);
+    console.log('阿里云短信响应:', result);
+    
+    if (result.Code === 'OK') {
+      return { success: true, message: '验证码已发送' };
+    }
+    return { success: false, message: result.Message || '发送失败' };
+  } catch (e) {
+    return { success: false, message: '解析响应失败' };
+  }
+}
+
+async function healthCheck() {
+  // 阿里云没有免费的探活接口，这里只检查配置是否完整
+  const status = getConfigStatus();
+  return {
+    healthy: status.configured,
+    message: status.configured ? '配置完整' : '配置不完整'
+  };
+}
+
+module.exports = {
+  name: 'aliyun',
+  label: '阿里云真实短信',
+  getConfigStatus,
+  send,
+  healthCheck
+};
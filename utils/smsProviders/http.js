@@ -0,0 +1,44 @@
+/**
+ * ========================================
+ * 短信通道共用的 HTTP 请求工具
+ * ========================================
+ * 各短信通道都通过这里发请求，统一处理超时和响应读取
+ */
+
+const http = require('http');
+const https = require('https');
+
+// 请求超时时间（毫秒）
+const REQUEST_TIMEOUT_MS = 10000;
+
+/**
+ * 发送 HTTP(S) 请求
+ * @param {string|URL} url - 请求地址
+ * @param {{method?: string, headers?: object, body?: string, timeout?: number}} [options]
+ * @returns {Promise<{statusCode: number, body: string}>} 网络错误或超时时 reject
+ */
+function request(url, options = {}) {
+  return new Promise((resolve, reject) => {
+    const target = url instanceof URL ? url : new URL(url);
+    const client = target.protocol === 'https:' ? https : http;
+    
+    const req = client.request(target, {
+      method: options.method || 'GET',
+      headers: options.headers || {},
+      timeout: options.timeout || REQUEST_TIMEOUT_MS
+    }, (res) => {
+      let data = '';
+      res.on('data', chunk => data += chunk);
+      res.on('end', () => resolve({ statusCode: res.statusCode, body: data }));
+    });
+    
+    req.on('timeout', () => req.destroy(new Error('请求超时')));
+    req.on('error', reject);
+    
+    req.end(options.body);
+  });
+}
+
+module.exports = {
+  request
+};
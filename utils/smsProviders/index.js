@@ -0,0 +1,53 @@
+/**
+ * ========================================
+ * 短信通道注册表
+ * ========================================
+ * 每个短信通道都实现相同的接口：
+ * - name / label         通道标识和中文名称
+ * - fixedCode            （可选）使用固定验证码，比如模拟通道
+ * - getConfigStatus()    返回配置状态 { configured, ... }（不包含密钥）
+ * - send(phone, code, purpose)  发送验证码，返回 Promise<{ success, message }>
+ * - healthCheck()        返回 Promise<{ healthy, message }>
+ *
+ * 通过环境变量 SMS_PROVIDER 选择通道：aliyun / tencent / mock / local
+ * 没有配置 SMS_PROVIDER 时兼容旧的 SMS_MOCK_MODE：
+ * 仅当 SMS_MOCK_MODE 明确为 'false' 或 '0' 时使用阿里云，其余情况为模拟
+ */
+
+const PROVIDERS = {
+  aliyun: require('./aliyun'),
+  tencent: require('./tencent'),
+  mock: require('./mock'),
+  local: require('./localGateway')
+};
+
+/**
+ * 根据环境变量确定当前使用的通道名称
+ */
+function resolveProviderName() {
+  const configured = (process.env.SMS_PROVIDER || '').toLowerCase();
+  if (configured) {
+    if (!PROVIDERS[configured]) {
+      console.error(`[短信] 未知的 SMS_PROVIDER: ${configured}，已改用模拟通道`);
+      return 'mock';
+    }
+    return configured;
+  }
+  
+  const mockEnv = (process.env.SMS_MOCK_MODE || '').toLowerCase();
+  return mockEnv !== 'false' && mockEnv !== '0' ? 'mock' : 'aliyun';
+}
+
+const activeProvider = PROVIDERS[resolveProviderName()];
+
+/**
+ * 获取当前使用的短信通道
+ */
+function getActiveProvider() {
+  return activeProvider;
+}
+
+module.exports = {
+  PROVIDERS,
+  getActiveProvider
+};
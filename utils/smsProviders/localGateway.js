@@ -0,0 +1,85 @@
+/**
+ * ========================================
+ * 本地短信网关通道
+ * ========================================
+ * 不调用云厂商，而是把短信 POST 到一个可配置的地址，
+ * QA 可以在本机跑一个假的"短信收件箱"服务来接收验证码
+ *
+ * 请求格式：POST SMS_LOCAL_GATEWAY_URL
+ *   { phone, code, purpose, content }
+ * 网关返回 2xx 即视为发送成功
+ *
+ * 健康检查：GET SMS_LOCAL_GATEWAY_HEALTH_URL（默认与发送地址相同），返回 2xx 即视为正常
+ */
+
+const { request } = require('./http');
+
+const GATEWAY_CONFIG = {
+  url: process.env.SMS_LOCAL_GATEWAY_URL || 'http://localhost:4000/sms',
+  healthUrl: process.env.SMS_LOCAL_GATEWAY_HEALTH_URL || ''
+};
+
+// 健康检查超时时间（毫秒）
+const HEALTH_TIMEOUT_MS = 3000;
+
+function getConfigStatus() {
+  return {
+    configured: !!GATEWAY_CONFIG.url
+  };
+}
+
+async function send(phone, code, purpose) {
+  const body = JSON.stringify({
+    phone,
+    code,
+    purpose,
+    content: `您的验证码为：${code}，5分钟内有效。`
+  });
+  
+  try {
+    const response = await request(GATEWAY_CONFIG.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body)
+      },
+      body
+    });
+    
+    if (response.statusCode >= 200 && response.statusCode < 300) {
+      return { success: true, message: '验证码已发送（本地网关）' };
+    }
+    
+    console.error('本地短信网关响应异常:', response.statusCode, response.body);
+    return { success: false, message: '发送失败' };
+    
+  } catch (error) {
+    console.error('本地短信网关请求失败:', error.message);
+    return { success: false, message: '网络错误' };
+  }
+}
+
+async function healthCheck() {
+  try {
+    const response = await request(GATEWAY_CONFIG.healthUrl || GATEWAY_CONFIG.url, {
+      timeout: HEALTH_TIMEOUT_MS
+    });
+    const healthy = response.statusCode >= 200 && response.statusCode < 300;
+    return {
+      healthy,
+      message: healthy ? '网关可访问' : `网关返回状态码 ${response.statusCode}`
+    };
+  } catch (error) {
+    // 错误信息里有网关的地址和端口，只记录日志，不返回给调用方
+    console.error('本地短信网关健康检查失败:', error.message);
+    return { healthy: false, message: '网关不可访问' };
+  }
+}
+
+module.exports = {
+  name: 'local',
+  label: '本地短信网关',
+  getConfigStatus,
+  send,
+  healthCheck
+};
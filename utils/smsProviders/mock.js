@@ -0,0 +1,32 @@
+/**
+ * ========================================
+ * 模拟短信通道
+ * ========================================
+ * 不真正发送短信，验证码固定为 123456，只打印到控制台，方便本地开发和测试
+ */
+
+const MOCK_CODE = '123456';
+
+module.exports = {
+  name: 'mock',
+  label: '模拟（验证码固定 123456）',
+  
+  // 模拟通道使用固定验证码
+  fixedCode: MOCK_CODE,
+  
+  getConfigStatus() {
+    return { configured: true };
+  },
+  
+  async send(phone, code, purpose) {
+    console.log(`[模拟模式] 手机号: ${phone}, 用途: ${purpose}, 验证码: ${code}`);
+    return {
+      success: true,
+      message: `验证码已发送（测试模式：${MOCK_CODE}）`
+    };
+  },
+  
+  async healthCheck() {
+    return { healthy: true, message: '模拟通道始终可用' };
+  }
+};
@@ -0,0 +1,153 @@
+/**
+ * ========================================
+ * 腾讯云短信通道
+ * ========================================
+ * 调用 sms.tencentcloudapi.com 的 SendSms 接口（API 3.0，TC3-HMAC-SHA256 签名）
+ * 模板需要两个变量：{1} 为验证码，{2} 为有效分钟数
+ */
+
+const crypto = require('crypto');
+const { request } = require('./http');
+
+const TENCENT_CONFIG = {
+  secretId: process.env.TENCENT_SMS_SECRET_ID,
+  secretKey: process.env.TENCENT_SMS_SECRET_KEY,
+  sdkAppId: process.env.TENCENT_SMS_APP_ID || '',
+  signName: process.env.TENCENT_SMS_SIGN_NAME || '',
+  templateId: process.env.TENCENT_SMS_TEMPLATE_ID || '',
+  region: process.env.TENCENT_SMS_REGION || 'ap-guangzhou'
+};
+
+const HOST = 'sms.tencentcloudapi.com';
+const SERVICE = 'sms';
+const ACTION = 'SendSms';
+const VERSION = '2021-01-11';
+
+// 验证码有效分钟数（填入模板第二个变量）
+const CODE_VALID_MINUTES = '5';
+
+function sha256Hex(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+function hmac(key, content) {
+  return crypto.createHmac('sha256', key).update(content).digest();
+}
+
+/**
+ * 计算 TC3-HMAC-SHA256 签名，返回 Authorization 头
+ */
+function buildAuthorization(payload, timestamp) {
+  const date = new Date(timestamp * 1000).toISOString().slice(0, 10);
+  const contentType = 'application/json; charset=utf-8';
+  
+  // 1. 规范请求串
+  const canonicalRequest = [
+    'POST',
+    '/',
+    '',
+    `content-type:${contentType}\nhost:${HOST}\n`,
+    'content-type;host',
+    sha256Hex(payload)
+  ].join('\n');
+  
+  // 2. 待签名字符串
+  const credentialScope = `${date}/${SERVICE}/tc3_request`;
+  const stringToSign = [
+    'TC3-HMAC-SHA256',
+    timestamp,
+    credentialScope,
+    sha256Hex(canonicalRequest)
+  ].join('\n');
+  
+  // 3. 计算签名
+  const secretDate = hmac('TC3' + TENCENT_CONFIG.secretKey, date);
+  const secretService = hmac(secretDate, SERVICE);
+  const secretSigning = hmac(secretService, 'tc3_request');
+  const signature = crypto.createHmac('sha256', secretSigning).update(stringToSign).digest('hex');
+  
+  return `TC3-HMAC-SHA256 Credential=${TENCENT_CONFIG.secretId}/${credentialScope}, ` +
+    `SignedHeaders=content-type;host, Signature=${signature}`;
+}
+
+function getConfigStatus() {
+  return {
+    configured: !!TENCENT_CONFIG.secretId && !!TENCENT_CONFIG.secretKey &&
+      !!TENCENT_CONFIG.sdkAppId && !!TENCENT_CONFIG.signName && !!TENCENT_CONFIG.templateId,
+    hasSecretId: !!TENCENT_CONFIG.secretId,
+    hasSecretKey: !!TENCENT_CONFIG.secretKey,
+    hasAppId: !!TENCENT_CONFIG.sdkAppId,
+    hasSignName: !!TENCENT_CONFIG.signName,
+    hasTemplateId: !!TENCENT_CONFIG.templateId
+  };
+}
+
+async function send(phone, code) {
+  if (!getConfigStatus().configured) {
+    console.error('腾讯云短信配置缺失，请配置 TENCENT_SMS_SECRET_ID、TENCENT_SMS_SECRET_KEY、TENCENT_SMS_APP_ID、TENCENT_SMS_SIGN_NAME 和 TENCENT_SMS_TEMPLATE_ID');
+    return { success: false, message: '短信服务未配置' };
+  }
+  
+  const payload = JSON.stringify({
+    PhoneNumberSet: [`+86${phone}`],
+    SmsSdkAppId: TENCENT_CONFIG.sdkAppId,
+    SignName: TENCENT_CONFIG.signName,
+    TemplateId: TENCENT_CONFIG.templateId,
+    TemplateParamSet: [code, CODE_VALID_MINUTES]
+  });
+  const timestamp = Math.floor(Date.now() / 1000);
+  
+  let response;
+  try {
+    response = await request(`https://${HOST}/`, {
+      method: 'POST',
+      headers: {
+        'Authorization': buildAuthorization(payload, timestamp),
+        'Content-Type': 'application/json; charset=utf-8',
+        'Host': HOST,
+        'X-TC-Action': ACTION,
+        'X-TC-Timestamp': String(timestamp),
+        'X-TC-Version': VERSION,
+        'X-TC-Region': TENCENT_CONFIG.region
+      },
+      body: payload
+    });
+  } catch (error) {
+    console.error('发送短信错误:', error);
+    return { success: false, message: '网络错误' };
+  }
+  
+  try {
+    const result = JSON.parse(response.body).Response || {};
+    console.log('腾讯云短信响应:', result);
+    
+    if (result.Error) {
+      return { success: false, message: result.Error.Message || '发送失败' };
+    }
+    
+    const status = (result.SendStatusSet || [])[0];
+    if (status && status.Code === 'Ok') {
+      return { success: true, message: '验证码已发送' };
+    }
+    return { success: false, message: (status && status.Message) || '发送失败' };
+  } catch (e) {
+    return { success: false, message: '解析响应失败' };
+  }
+}
+
+async function healthCheck() {
+  // 只检查配置是否完整，不真正发送短信
+  const status = getConfigStatus();
+  return {
+    healthy: status.configured,
+    message: status.configured ? '配置完整' : '配置不完整'
+  };
+}
+
+module.exports = {
+  name: 'tencent',
+  label: '腾讯云真实短信',
+  getConfigStatus,
+  send,
+  healthCheck
+};
@@ -0,0 +1,228 @@
+/**
+ * ========================================
+ * 登录凭证工具
+ * ========================================
+ * 负责签发 access token 和 refresh token，并管理登录会话：
+ * - access token：JWT，有效期短（默认 30 分钟），请求接口时放在 Authorization 头里
+ * - refresh token：随机字符串，有效期长（默认 30 天），只用来换取新的 access token
+ *   每次刷新都会换一个新的 refresh token，数据库里只保存哈希值
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { getAccountBlock } = require('./accountStatus');
+const { invalidateSession, invalidateUserSessions } = require('./authCache');
+
+// access token 有效期（jsonwebtoken 的 expiresIn 格式，如 "30m"、"2h"）
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '30m';
+
+// refresh token 有效期（天）
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+/**
+ * 计算 refresh token 的哈希值（数据库里只存哈希）
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * 生成新的 refresh token（随机字符串）
+ */
+function generateRefreshToken() {
+  return crypto.randomBytes(48).toString('hex');
+}
+
+/**
+ * 从请求中提取设备信息
+ * 前端可以在请求体里带上 device: { name: "iPhone 15", platform: "ios" }
+ */
+function getDeviceInfo(req) {
+  const device = (req.body && req.body.device) || {};
+  return {
+    name: String(device.name || '').slice(0, 100),
+    platform: String(device.platform || '').slice(0, 20),
+    userAgent: String(req.get('User-Agent') || '').slice(0, 300),
+    ip: req.ip || ''
+  };
+}
+
+/**
+ * 签发 access token
+ * token 中带上用户当前的 tokenVersion 和会话 ID，版本号变化或会话注销后 token 失效
+ */
+function signAccessToken(req, user, sessionId) {
+  return jwt.sign(
+    {
+      userId: user._id,
+      tokenVersion: user.tokenVersion || 0,
+      sid: sessionId
+    },
+    req.app.get('JWT_SECRET'),
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+  );
+}
+
+/**
+ * 计算 access token 的有效期（秒），返回给前端用来提前刷新
+ */
+function getAccessTokenTtlSeconds(token) {
+  const decoded = jwt.decode(token);
+  return decoded.exp - decoded.iat;
+}
+
+/**
+ * 登录成功后创建一个新会话
+ * @returns {Promise<{token: string, refreshToken: string, expiresIn: number, sessionId: string}>}
+ */
+async function createSession(req, user) {
+  const refreshToken = generateRefreshToken();
+  
+  const session = new Session({
+    userId: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    device: getDeviceInfo(req),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+  });
+  await session.save();
+  
+  const token = signAccessToken(req, user, session._id);
+  
+  return {
+    token,
+    refreshToken,
+    expiresIn: getAccessTokenTtlSeconds(token),
+    sessionId: session._id
+  };
+}
+
+/**
+ * 为当前设备换发新的凭证（修改密码等操作后使用）
+ * 当前请求所属的会话仍然有效时，沿用该会话并轮换 refresh token；否则新建会话
+ * @returns {Promise<{token: string, refreshToken: string, expiresIn: number, sessionId: string}>}
+ */
+async function renewSession(req, user) {
+  const session = req.user && req.user.sessionId
+    ? await Session.findOne({ _id: req.user.sessionId, userId: user._id })
+    : null;
+  
+  if (!session || !session.isActive()) {
+    return createSession(req, user);
+  }
+  
+  const refreshToken = generateRefreshToken();
+  session.previousRefreshTokenHash = session.refreshTokenHash;
+  session.refreshTokenHash = hashToken(refreshToken);
+  session.lastUsedAt = new Date();
+  await session.save();
+  
+  const token = signAccessToken(req, user, session._id);
+  
+  return {
+    token,
+    refreshToken,
+    expiresIn: getAccessTokenTtlSeconds(token),
+    sessionId: session._id
+  };
+}
+
+/**
+ * 用 refresh token 换取新的 access token 和 refresh token
+ * @returns {Promise<{success: boolean, message: string, data?: object, errorCode?: string}>}
+ */
+async function refreshSession(req, refreshToken) {
+  const tokenHash = hashToken(refreshToken);
+  const newRefreshToken = generateRefreshToken();
+  const device = getDeviceInfo(req);
+  const now = new Date();
+  
+  // 轮换 refresh token：旧的立即作废
+  // 查找和替换在一次原子操作里完成，同一个 refresh token 并发刷新时只有一个请求能成功
+  // 同时更新设备的 IP 和 UA（设备名称只在登录时上报）
+  const session = await Session.findOneAndUpdate(
+    { refreshTokenHash: tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: {
+        refreshTokenHash: hashToken(newRefreshToken),
+        previousRefreshTokenHash: tokenHash,
+        lastUsedAt: now,
+        expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+        'device.userAgent': device.userAgent,
+        'device.ip': device.ip
+      }
+    },
+    { new: true }
+  );
+  
+  if (!session) {
+    // 旧的 refresh token 被再次使用：可能已被盗用，作废整个会话
+    const reused = await Session.findOneAndUpdate(
+      { previousRefreshTokenHash: tokenHash, revokedAt: null },
+      { $set: { revokedAt: now } }
+    );
+    if (reused) {
+      invalidateSession(reused._id);
+      console.warn('检测到 refresh token 重复使用，已注销会话:', reused._id);
+    }
+    return { success: false, message: '登录已失效，请重新登录' };
+  }
+  
+  const user = await User.findById(session.userId);
+  if (!user) {
+    return { success: false, message: '用户不存在，请重新登录' };
+  }
+  
+  // 注销冷静期中的账号可以继续刷新，以便撤销注销
+  const block = getAccountBlock(user, { allowPendingDeletion: true });
+  if (block) {
+    return { success: false, message: block.message, errorCode: block.errorCode };
+  }
+  
+  const token = signAccessToken(req, user, session._id);
+  
+  return {
+    success: true,
+    message: '刷新成功',
+    data: {
+      token,
+      refreshToken: newRefreshToken,
+      expiresIn: getAccessTokenTtlSeconds(token)
+    }
+  };
+}
+
+/**
+ * 注销某个用户的某个会话
+ * @returns {Promise<boolean>} 是否找到并注销了会话
+ */
+async function revokeSession(userId, sessionId) {
+  const result = await Session.updateOne(
+    { _id: sessionId, userId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+  invalidateSession(sessionId);
+  return result.modifiedCount > 0;
+}
+
+/**
+ * 注销某个用户的所有会话
+ * @param {string} [exceptSessionId] - 需要保留的会话（比如当前设备）
+ */
+async function revokeAllSessions(userId, exceptSessionId) {
+  const filter = { userId, revokedAt: null };
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+  await Session.updateMany(filter, { revokedAt: new Date() });
+  invalidateUserSessions(userId);
+}
+
+module.exports = {
+  createSession,
+  renewSession,
+  refreshSession,
+  revokeSession,
+  revokeAllSessions
+};
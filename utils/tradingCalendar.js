@@ -0,0 +1,328 @@
+/**
+ * ========================================
+ * 交易日历
+ * ========================================
+ * 判断某天是否为交易日：周六、周日休市，再排除各交易所的节假日休市日
+ * 支持的市场：cn（沪深交易所）、hk（港交所）、us（纽交所）
+ *
+ * 休市日保存在 MongoDB（models/TradingHoliday.js），
+ * 由管理员从 data/holidays 目录下的 CSV / JSON 文件导入（POST /api/admin/holidays/load）
+ * 数据库里某个市场还没有导入过数据时，直接使用随项目发布的 data/holidays/holidays.csv
+ *
+ * 文件格式：
+ * - CSV：表头为 market,date,name，每行一个休市日，比如 cn,2025-10-01,国庆节
+ * - JSON：[{ "market": "cn", "date": "2025-10-01", "name": "国庆节" }]
+ *   或者按市场分组 { "cn": [{ "date": "2025-10-01", "name": "国庆节" }] }
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const TradingHoliday = require('../models/TradingHoliday');
+const { addDays, formatLocalDate, zonedTimeToDate, isValidDateString } = require('./localDate');
+const { MARKETS, getUserProfile } = require('./profile');
+
+// 交易日历对应的市场
+const CALENDAR_MARKETS = {
+  CN: 'cn',
+  HK: 'hk',
+  US: 'us'
+};
+
+const CALENDAR_MARKET_LABELS = {
+  [CALENDAR_MARKETS.CN]: '沪深交易所',
+  [CALENDAR_MARKETS.HK]: '港交所',
+  [CALENDAR_MARKETS.US]: '纽交所'
+};
+
+// 各市场的开盘时间（交易所当地时间）
+const MARKET_SESSIONS = {
+  [CALENDAR_MARKETS.CN]: { timezone: 'Asia/Shanghai', open: '09:30' },
+  [CALENDAR_MARKETS.HK]: { timezone: 'Asia/Hong_Kong', open: '09:30' },
+  [CALENDAR_MARKETS.US]: { timezone: 'America/New_York', open: '09:30' }
+};
+
+// 用户资料中的关注市场 => 使用的交易日历（国内期货和 A 股一样按国内节假日休市）
+const PROFILE_MARKET_CALENDARS = {
+  [MARKETS.A_SHARE]: CALENDAR_MARKETS.CN,
+  [MARKETS.FUTURES]: CALENDAR_MARKETS.CN,
+  [MARKETS.HK]: CALENDAR_MARKETS.HK,
+  [MARKETS.US]: CALENDAR_MARKETS.US
+};
+
+// 随项目发布的休市日文件目录
+const HOLIDAY_DATA_DIR = path.join(__dirname, '..', 'data', 'holidays');
+const DEFAULT_HOLIDAY_FILE = 'holidays.csv';
+
+// 只允许读取目录下的 csv / json 文件（防止通过文件名读取其他目录）
+const HOLIDAY_FILE_PATTERN = /^[\w.-]+\.(csv|json)$/;
+
+// 休市日缓存时间（毫秒），导入新数据后会立即清除
+const CACHE_TTL_MS = 10 * 60 * 1000;
+
+// 往前查找交易日时最多跨越的天数（最长的假期也不会超过）
+const MAX_GAP_DAYS = 30;
+
+// market => { holidays: Map<date, name>, expireAt }
+const holidayCache = new Map();
+
+/**
+ * 解析 CSV 内容
+ */
+function parseCsv(content) {
+  const rows = [];
+  const lines = content.replace(/^\uFEFF/, '').split(/\r?\n/);
+  for (const line of lines) {
+    if (!line.trim()) {
+      continue;
+    }
+    const [market, date, ...nameParts] = line.split(',');
+    // 跳过表头
+    if (market.trim() === 'market') {
+      continue;
+    }
+    rows.push({ market, date, name: nameParts.join(',') });
+  }
+  return rows;
+}
+
+/**
+ * 解析 JSON 内容（数组，或者按市场分组的对象）
+ */
+function parseJson(content) {
+  const data = JSON.parse(content);
+  if (Array.isArray(data)) {
+    return data;
+  }
+  
+  const rows = [];
+  for (const [market, items] of Object.entries(data || {})) {
+    for (const item of Array.isArray(items) ? items : []) {
+      rows.push(typeof item === 'string' ? { market, date: item } : { ...item, market });
+    }
+  }
+  return rows;
+}
+
+/**
+ * 解析休市日文件内容，并校验每一条数据
+ * @param {string} content - 文件内容
+ * @param {string} fileName - 文件名（按扩展名判断格式）
+ * @returns {{holidays: Array<{market: string, date: string, name: string}>, errors: string[]}}
+ */
+function parseHolidayFile(content, fileName) {
+  const rows = fileName.endsWith('.json') ? parseJson(content) : parseCsv(content);
+  
+  const holidays = [];
+  const errors = [];
+  const seen = new Set();
+  
+  rows.forEach((row, index) => {
+    const market = String((row && row.market) || '').trim().toLowerCase();
+    const date = String((row && row.date) || '').trim();
+    
+    if (!CALENDAR_MARKET_LABELS[market]) {
+      errors.push(`第 ${index + 1} 条：未知的市场 ${market || '(空)'}`);
+      return;
+    }
+    if (!isValidDateString(date)) {
+      errors.push(`第 ${index + 1} 条：日期格式错误 ${date || '(空)'}`);
+      return;
+    }
+    
+    const key = `${market}:${date}`;
+    if (seen.has(key)) {
+      return;
+    }
+    seen.add(key);
+    holidays.push({ market, date, name: String(row.name || '').trim() });
+  });
+  
+  return { holidays, errors };
+}
+
+/**
+ * 读取 data/holidays 目录下的休市日文件
+ * @param {string} [fileName='holidays.csv']
+ */
+async function readHolidayFile(fileName = DEFAULT_HOLIDAY_FILE) {
+  if (!HOLIDAY_FILE_PATTERN.test(fileName)) {
+    throw new Error('文件名不合法，只支持 data/holidays 目录下的 .csv 或 .json 文件');
+  }
+  const content = await fs.readFile(path.join(HOLIDAY_DATA_DIR, fileName), 'utf8');
+  return parseHolidayFile(content, fileName);
+}
+
+/**
+ * 把休市日写入数据库
+ * 文件中出现的每个"市场 + 年份"以文件为准：先删除数据库中该年份的旧数据，再写入新数据
+ * @returns {Promise<Object<string, number>>} 每个市场写入的条数
+ */
+async function saveHolidays(holidays) {
+  const groups = new Map();
+  for (const holiday of holidays) {
+    const key = `${holiday.market}:${holiday.date.slice(0, 4)}`;
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(holiday);
+  }
+  
+  const summary = {};
+  for (const [key, items] of groups) {
+    const [market, year] = key.split(':');
+    await TradingHoliday.deleteMany({
+      market,
+      date: { $gte: `${year}-01-01`, $lte: `${year}-12-31` }
+    });
+    await TradingHoliday.insertMany(items);
+    summary[market] = (summary[market] || 0) + items.length;
+  }
+  
+  holidayCache.clear();
+  return summary;
+}
+
+/**
+ * 获取某个市场的全部休市日（带缓存）
+ * @returns {Promise<Map<string, string>>} 日期 => 节日名称
+ */
+async function getHolidays(market) {
+  const cached = holidayCache.get(market);
+  if (cached && cached.expireAt > Date.now()) {
+    return cached.holidays;
+  }
+  
+  let rows = await TradingHoliday.find({ market }).select('date name').lean();
+  
+  // 还没有导入过数据，使用随项目发布的文件
+  if (rows.length === 0) {
+    try {
+      const { holidays } = await readHolidayFile();
+      rows = holidays.filter(h => h.market === market);
+    } catch (error) {
+      console.error('[交易日历] 读取内置休市日文件失败:', error.message);
+    }
+  }
+  
+  const holidays = new Map(rows.map(r => [r.date, r.name]));
+  holidayCache.set(market, { holidays, expireAt: Date.now() + CACHE_TTL_MS });
+  return holidays;
+}
+
+/**
+ * 根据休市日创建交易日历
+ * @param {string} market
+ * @param {Map<string, string>} holidays
+ */
+function createCalendar(market, holidays) {
+  const isTradingDay = (date) => {
+    const [year, month, day] = date.split('-').map(Number);
+    const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+    return weekday !== 0 && weekday !== 6 && !holidays.has(date);
+  };
+  
+  // 某天之前最近的一个交易日（不含当天）
+  const previousTradingDay = (date) => {
+    let current = date;
+    for (let i = 0; i < MAX_GAP_DAYS; i++) {
+      current = addDays(current, -1);
+      if (isTradingDay(current)) {
+        return current;
+      }
+    }
+    return current;
+  };
+  
+  // 某天之后最近的一个交易日（不含当天）
+  const nextTradingDay = (date) => {
+    let current = date;
+    for (let i = 0; i < MAX_GAP_DAYS; i++) {
+      current = addDays(current, 1);
+      if (isTradingDay(current)) {
+        return current;
+      }
+    }
+    return current;
+  };
+  
+  // 某天之后下一个交易日的开盘时刻
+  const getNextOpen = (date) => {
+    const session = MARKET_SESSIONS[market];
+    return zonedTimeToDate(nextTradingDay(date), session.open, session.timezone);
+  };
+  
+  // 某个时刻之后最近的一次开盘时刻
+  const getNextOpenAfter = (moment) => {
+    const session = MARKET_SESSIONS[market];
+    const localDate = formatLocalDate(moment, session.timezone);
+    if (isTradingDay(localDate)) {
+      const open = zonedTimeToDate(localDate, session.open, session.timezone);
+      if (open > moment) {
+        return open;
+      }
+    }
+    return getNextOpen(localDate);
+  };
+  
+  // 区间内（含首尾）的全部交易日
+  const listTradingDays = (from, to) => {
+    const days = [];
+    for (let current = from; current <= to; current = addDays(current, 1)) {
+      if (isTradingDay(current)) {
+        days.push(current);
+      }
+    }
+    return days;
+  };
+  
+  return {
+    market,
+    isTradingDay,
+    previousTradingDay,
+    nextTradingDay,
+    getNextOpen,
+    getNextOpenAfter,
+    listTradingDays,
+    getHolidayName: (date) => holidays.get(date) || null
+  };
+}
+
+/**
+ * 获取某个市场的交易日历
+ * @param {string} [market='cn']
+ */
+async function getTradingCalendar(market = CALENDAR_MARKETS.CN) {
+  const holidays = await getHolidays(market);
+  return createCalendar(market, holidays);
+}
+
+/**
+ * 根据用户资料中的关注市场确定使用哪个交易日历
+ * 关注了多个市场时以第一个为准，没有设置时按 A 股
+ * @param {{markets?: string[]}} profile
+ */
+function resolveCalendarMarket(profile) {
+  const markets = (profile && profile.markets) || [];
+  const matched = markets.find(m => PROFILE_MARKET_CALENDARS[m]);
+  return matched ? PROFILE_MARKET_CALENDARS[matched] : CALENDAR_MARKETS.CN;
+}
+
+/**
+ * 获取某个用户使用的交易日历（按用户资料中的关注市场）
+ */
+async function getUserTradingCalendar(userId) {
+  const profile = await getUserProfile(userId);
+  return getTradingCalendar(resolveCalendarMarket(profile));
+}
+
+module.exports = {
+  CALENDAR_MARKETS,
+  CALENDAR_MARKET_LABELS,
+  DEFAULT_HOLIDAY_FILE,
+  parseHolidayFile,
+  readHolidayFile,
+  saveHolidays,
+  getTradingCalendar,
+  getUserTradingCalendar,
+  resolveCalendarMarket
+};
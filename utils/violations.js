@@ -0,0 +1,211 @@
+/**
+ * ========================================
+ * 违规类型工具
+ * ========================================
+ * "手欠"签到可以标记一个或多个违规类型，每个带严重程度：
+ * 1: 轻微  2: 一般  3: 严重
+ *
+ * 系统类型来自 data/violation-categories.json（可以用 VIOLATION_CATEGORIES_FILE 指定其他文件），
+ * 服务启动时同步到数据库：文件中新增的类型会添加，文件中删掉的类型会停用
+ * 用户还可以添加自己的类型（见 routes/violations.js）
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const mongoose = require('mongoose');
+const CheckIn = require('../models/CheckIn');
+const ViolationCategory = require('../models/ViolationCategory');
+
+// 严重程度
+const VIOLATION_SEVERITY = {
+  MINOR: 1,
+  MODERATE: 2,
+  SEVERE: 3
+};
+
+const VIOLATION_SEVERITY_LABELS = {
+  [VIOLATION_SEVERITY.MINOR]: '轻微',
+  [VIOLATION_SEVERITY.MODERATE]: '一般',
+  [VIOLATION_SEVERITY.SEVERE]: '严重'
+};
+
+// 每个用户最多添加的自定义类型数量
+const MAX_CUSTOM_CATEGORIES = 20;
+
+// 系统类型配置文件
+const CATEGORIES_FILE = process.env.VIOLATION_CATEGORIES_FILE
+  || path.join(__dirname, '..', 'data', 'violation-categories.json');
+
+/**
+ * 违规类型 => 接口返回的格式
+ */
+function formatCategory(doc) {
+  return {
+    id: doc._id,
+    key: doc.key,
+    name: doc.name,
+    description: doc.description || '',
+    isCustom: !!doc.userId
+  };
+}
+
+/**
+ * 把配置文件中的系统类型同步到数据库（服务启动时调用）
+ */
+async function seedSystemCategories() {
+  const items = JSON.parse(await fs.readFile(CATEGORIES_FILE, 'utf8'));
+  const keys = [];
+  
+  for (const [index, item] of items.entries()) {
+    if (!item || typeof item.key !== 'string' || typeof item.name !== 'string') {
+      console.error('[违规类型] 配置项格式错误，已跳过:', item);
+      continue;
+    }
+    keys.push(item.key);
+    await ViolationCategory.updateOne(
+      { key: item.key },
+      {
+        $set: {
+          name: item.name,
+          description: item.description || '',
+          userId: null,
+          isActive: true,
+          sortOrder: index
+        }
+      },
+      { upsert: true }
+    );
+  }
+  
+  // 文件中已删除的系统类型停用
+  await ViolationCategory.updateMany(
+    { userId: null, key: { $nin: keys } },
+    { $set: { isActive: false } }
+  );
+  
+  console.log(`[违规类型] 已同步 ${keys.length} 个系统类型`);
+}
+
+/**
+ * 用户可以选择的违规类型（系统类型 + 自己的自定义类型）
+ */
+async function getAvailableCategories(userId) {
+  return ViolationCategory.find({
+    userId: { $in: [null, userId] },
+    isActive: true
+  }).sort({ userId: 1, sortOrder: 1, createdAt: 1 });
+}
+
+/**
+ * 类型 key => 名称（包括已停用的类型，用于显示历史签到）
+ * @returns {Promise<Map<string, string>>}
+ */
+async function getCategoryNames(userId) {
+  const categories = await ViolationCategory.find({ userId: { $in: [null, userId] } })
+    .select('key name')
+    .lean();
+  return new Map(categories.map(c => [c.key, c.name]));
+}
+
+/**
+ * 校验签到提交的违规类型
+ * @param {Array<{category: string, severity?: number}>} input - category 为类型的 key
+ * @returns {Promise<{error: string}|{violations: Array<{category: string, severity: number}>}>}
+ */
+async function normalizeViolations(input, userId) {
+  if (!Array.isArray(input)) {
+    return { error: '违规类型必须是数组' };
+  }
+  if (input.length === 0) {
+    return { violations: [] };
+  }
+  
+  const available = new Set((await getAvailableCategories(userId)).map(c => c.key));
+  const byCategory = new Map();
+  
+  for (const item of input) {
+    const category = item && item.category;
+    if (!available.has(category)) {
+      return { error: `违规类型不存在：${category}` };
+    }
+    
+    const severity = item.severity === undefined ? VIOLATION_SEVERITY.MODERATE : item.severity;
+    if (!VIOLATION_SEVERITY_LABELS[severity]) {
+      return { error: '严重程度只能是 1（轻微）、2（一般）或 3（严重）' };
+    }
+    
+    // 同一类型提交了多次，保留最严重的
+    byCategory.set(category, Math.max(byCategory.get(category) || 0, severity));
+  }
+  
+  return {
+    violations: Array.from(byCategory, ([category, severity]) => ({ category, severity }))
+  };
+}
+
+/**
+ * 按违规类型统计某段时间的"手欠"签到
+ * @param {string} userId
+ * @param {string} from - 开始日期 YYYY-MM-DD（含）
+ * @param {string} to - 结束日期 YYYY-MM-DD（含）
+ */
+async function getViolationBreakdown(userId, from, to) {
+  const match = {
+    userId: new mongoose.Types.ObjectId(userId),
+    type: 'incomplete',
+    date: { $gte: from, $lte: to }
+  };
+  
+  const [groups, incompleteCount, uncategorizedCount, names] = await Promise.all([
+    CheckIn.aggregate([
+      { $match: match },
+      { $unwind: '$violations' },
+      {
+        $group: {
+          _id: '$violations.category',
+          count: { $sum: 1 },
+          severitySum: { $sum: '$violations.severity' },
+          minor: { $sum: { $cond: [{ $eq: ['$violations.severity', VIOLATION_SEVERITY.MINOR] }, 1, 0] } },
+          moderate: { $sum: { $cond: [{ $eq: ['$violations.severity', VIOLATION_SEVERITY.MODERATE] }, 1, 0] } },
+          severe: { $sum: { $cond: [{ $eq: ['$violations.severity', VIOLATION_SEVERITY.SEVERE] }, 1, 0] } },
+          lastDate: { $max: '$date' }
+        }
+      },
+      { $sort: { count: -1, severitySum: -1 } }
+    ]),
+    CheckIn.countDocuments(match),
+    CheckIn.countDocuments({ ...match, 'violations.0': { $exists: false } }),
+    getCategoryNames(userId)
+  ]);
+  
+  return {
+    from,
+    to,
+    incompleteCheckIns: incompleteCount,
+    uncategorized: uncategorizedCount,
+    categories: groups.map(g => ({
+      category: g._id,
+      name: names.get(g._id) || g._id,
+      count: g.count,
+      averageSeverity: Number((g.severitySum / g.count).toFixed(2)),
+      bySeverity: {
+        minor: g.minor,
+        moderate: g.moderate,
+        severe: g.severe
+      },
+      lastDate: g.lastDate
+    }))
+  };
+}
+
+module.exports = {
+  VIOLATION_SEVERITY,
+  VIOLATION_SEVERITY_LABELS,
+  MAX_CUSTOM_CATEGORIES,
+  formatCategory,
+  seedSystemCategories,
+  getAvailableCategories,
+  getCategoryNames,
+  normalizeViolations,
+  getViolationBreakdown
+};